@@ -9,11 +9,15 @@ const { Server } = require("socket.io");
 
 const chatRoutes = require("./routes/chat");
 const sessionRoutes = require("./routes/sessions");
-const {
-  initializeServices,
-  sessionUtils,
-  vectorUtils,
-} = require("./config/database");
+const sourceRoutes = require("./routes/sources");
+const ingestRoutes = require("./routes/ingest");
+const meRoutes = require("./routes/me");
+const adminRoutes = require("./routes/admin");
+const { registerChatSocket } = require("./sockets/chatSocket");
+const { initializeServices } = require("./config/database");
+const { getPromptTemplates } = require("./config/promptTemplates");
+const { ingestionRunner } = require("./services/ingestionJobs");
+const { startPruning } = require("./services/conversationStores");
 const logger = require("./utils/logger");
 
 const app = express();
@@ -38,6 +42,10 @@ app.use(express.urlencoded({ extended: true }));
 // ----------------------------
 app.use("/api/chat", chatRoutes);
 app.use("/api/sessions", sessionRoutes);
+app.use("/api/sources", sourceRoutes);
+app.use("/api/ingest", ingestRoutes);
+app.use("/api/me", meRoutes);
+app.use("/api/admin", adminRoutes);
 
 // Health check
 app.get("/health", (req, res) => {
@@ -54,7 +62,7 @@ app.use("*", (req, res) => {
 });
 
 // Error handling middleware
-app.use((err, req, res, next) => {
+app.use((err, req, res, _next) => {
   logger.error("Unhandled error:", err);
   res.status(500).json({
     error: "Internal server error",
@@ -78,45 +86,24 @@ const io = new Server(server, {
 });
 
 // Handle WebSocket connections
-io.on("connection", (socket) => {
-  logger.info(`User connected via WebSocket: ${socket.id}`);
-
-  socket.on("chatMessage", async (data) => {
-    try {
-      // Example: store session message in Redis
-      if (data.sessionId && data.message) {
-        await sessionUtils.addMessage(data.sessionId, {
-          sender: "user",
-          text: data.message,
-        });
-      }
-
-      // Example: generate bot response
-      const botReply = { sender: "bot", text: "Processing..." };
-      socket.emit("chatResponse", botReply);
-
-      // TODO: call RAG pipeline, Qdrant search, Gemini API, etc.
-      // Once response is ready, emit back to frontend:
-      // socket.emit("chatResponse", { sender: "bot", text: finalAnswer });
-    } catch (error) {
-      logger.error("WebSocket chat error:", error);
-      socket.emit("chatResponse", { sender: "bot", text: "Error occurred." });
-    }
-  });
-
-  socket.on("disconnect", () => {
-    logger.info(`User disconnected: ${socket.id}`);
-  });
-});
+registerChatSocket(io);
 
 // ----------------------------
 // Start server after initializing services
 // ----------------------------
 async function startServer() {
   try {
+    // Fail fast on a broken prompt template rather than on the first chat
+    getPromptTemplates();
     await initializeServices();
     logger.info("Services initialized successfully");
 
+    startPruning();
+
+    if (process.env.INGEST_SCHEDULER_ENABLED === "true") {
+      ingestionRunner.startScheduler();
+    }
+
     server.listen(PORT, () => {
       logger.info(`Server running on port ${PORT}`);
       logger.info(`Environment: ${process.env.NODE_ENV}`);
@@ -2,6 +2,9 @@ require("dotenv").config();
 const Redis = require("ioredis");
 const fetch = require("node-fetch");
 const logger = require("../utils/logger");
+const { getEmbeddingProvider } = require("../services/embeddingProviders");
+const { getConversationStore } = require("../services/conversationStores");
+const { tokenize } = require("../utils/tokenize");
 
 let redis;
 
@@ -98,6 +101,91 @@ const qdrantHttp = {
     return await response.json();
   },
 
+  async getPoints(collectionName, ids, withPayload = true) {
+    const response = await fetch(
+      `${this.baseUrl}/collections/${collectionName}/points`,
+      {
+        method: "POST",
+        headers: this.getHeaders(),
+        body: JSON.stringify({ ids, with_payload: withPayload }),
+      }
+    );
+    if (!response.ok) {
+      const errorText = await response.text();
+      throw new Error(`HTTP ${response.status}: ${errorText}`);
+    }
+    return await response.json();
+  },
+
+  // selector is either { points: [ids] } or { filter: {...} }
+  async deletePoints(collectionName, selector) {
+    const response = await fetch(
+      `${this.baseUrl}/collections/${collectionName}/points/delete?wait=true`,
+      {
+        method: "POST",
+        headers: this.getHeaders(),
+        body: JSON.stringify(selector),
+      }
+    );
+    if (!response.ok) {
+      const errorText = await response.text();
+      throw new Error(`HTTP ${response.status}: ${errorText}`);
+    }
+    return await response.json();
+  },
+
+  async countPoints(collectionName, countParams) {
+    const response = await fetch(
+      `${this.baseUrl}/collections/${collectionName}/points/count`,
+      {
+        method: "POST",
+        headers: this.getHeaders(),
+        body: JSON.stringify(countParams),
+      }
+    );
+    if (!response.ok) {
+      const errorText = await response.text();
+      throw new Error(`HTTP ${response.status}: ${errorText}`);
+    }
+    return await response.json();
+  },
+
+  async scrollPoints(collectionName, scrollParams) {
+    const response = await fetch(
+      `${this.baseUrl}/collections/${collectionName}/points/scroll`,
+      {
+        method: "POST",
+        headers: this.getHeaders(),
+        body: JSON.stringify(scrollParams),
+      }
+    );
+    if (!response.ok) {
+      const errorText = await response.text();
+      throw new Error(`HTTP ${response.status}: ${errorText}`);
+    }
+    return await response.json();
+  },
+
+  // Idempotent: re-creating an existing index is a no-op
+  async createPayloadIndex(collectionName, fieldName, fieldSchema) {
+    const response = await fetch(
+      `${this.baseUrl}/collections/${collectionName}/index?wait=true`,
+      {
+        method: "PUT",
+        headers: this.getHeaders(),
+        body: JSON.stringify({
+          field_name: fieldName,
+          field_schema: fieldSchema,
+        }),
+      }
+    );
+    if (!response.ok) {
+      const errorText = await response.text();
+      throw new Error(`HTTP ${response.status}: ${errorText}`);
+    }
+    return await response.json();
+  },
+
   async searchPoints(collectionName, searchParams) {
     const response = await fetch(
       `${this.baseUrl}/collections/${collectionName}/points/search`,
@@ -118,9 +206,21 @@ const qdrantHttp = {
 // ----------------------------
 // Qdrant Initialization (HTTP only)
 // ----------------------------
+// Payload fields used for filtering, counting and ordering
+const PAYLOAD_INDEXES = {
+  chunk_index: "integer",
+  source: "keyword",
+  category: "keyword",
+  language: "keyword",
+  domain: "keyword",
+  published_at: "datetime",
+};
+
 const initializeQdrant = async () => {
   try {
     const collectionName = "news_embeddings";
+    const provider = getEmbeddingProvider();
+    const dimension = provider.dimension;
 
     // Test connection first
     const healthResponse = await fetch(`${qdrantHttp.baseUrl}/`, {
@@ -136,7 +236,7 @@ const initializeQdrant = async () => {
       const currentSize = collectionInfo.result?.config?.params?.vectors?.size;
 
       // Check if dimensions match
-      if (currentSize !== 768) {
+      if (currentSize !== dimension) {
         logger.info(
           `Deleting existing collection with wrong dimensions (${currentSize})`
         );
@@ -146,17 +246,17 @@ const initializeQdrant = async () => {
       }
 
       logger.info(
-        `Qdrant collection '${collectionName}' found with correct dimensions (768)`
+        `Qdrant collection '${collectionName}' found with correct dimensions (${dimension})`
       );
     } catch (error) {
       // Collection doesn't exist or was deleted - create it
       logger.info(
-        `Creating collection '${collectionName}' with 768 dimensions`
+        `Creating collection '${collectionName}' with ${dimension} dimensions (${provider.name}/${provider.model})`
       );
 
       await qdrantHttp.createCollection(collectionName, {
         vectors: {
-          size: 768, // Correct Jina v2-base-en embedding size
+          size: dimension,
           distance: "Cosine",
         },
       });
@@ -164,6 +264,10 @@ const initializeQdrant = async () => {
       logger.info(`Qdrant collection '${collectionName}' created successfully`);
     }
 
+    for (const [field, schema] of Object.entries(PAYLOAD_INDEXES)) {
+      await qdrantHttp.createPayloadIndex(collectionName, field, schema);
+    }
+
     logger.info("Qdrant connection established");
     return qdrantHttp;
   } catch (err) {
@@ -180,60 +284,570 @@ const initializeServices = async () => {
 };
 
 // ----------------------------
-// Session Utilities (Redis)
+// Session Utilities (Redis, backed by the conversation store)
 // ----------------------------
+// Messages reloaded into Redis when a conversation is rehydrated
+const HISTORY_CACHE_LIMIT = 50;
+
+const sessionKeyFor = (sessionId) => `session:${sessionId}`;
+const messagesKeyFor = (sessionId) => `messages:${sessionId}`;
+const ownerSessionsKeyFor = (ownerId, { archived = false } = {}) =>
+  archived ? `user_sessions_archived:${ownerId}` : `user_sessions:${ownerId}`;
+const sessionTtl = () => parseInt(process.env.SESSION_TTL) || 86400;
+const historyTtl = () => parseInt(process.env.CHAT_HISTORY_TTL) || 3600;
+const historyMaxMessages = () =>
+  parseInt(process.env.CHAT_HISTORY_MAX_MESSAGES) || 100;
+
+// Create the session hash unless it exists, then slide its expiry.
+// ARGV: ttl, then field/value pairs. Returns {created, hash as flat list}
+const GET_OR_CREATE_SESSION_SCRIPT = `
+local created = 0
+if redis.call("exists", KEYS[1]) == 0 then
+  redis.call("hset", KEYS[1], unpack(ARGV, 2))
+  created = 1
+end
+redis.call("expire", KEYS[1], ARGV[1])
+return {created, redis.call("hgetall", KEYS[1])}
+`;
+
+// Fill an expired message list, unless another request already has.
+// ARGV: ttl, max length, then messages newest first
+const REHYDRATE_MESSAGES_SCRIPT = `
+if redis.call("exists", KEYS[1]) == 1 then
+  return 0
+end
+redis.call("rpush", KEYS[1], unpack(ARGV, 3))
+redis.call("ltrim", KEYS[1], 0, tonumber(ARGV[2]) - 1)
+redis.call("expire", KEYS[1], ARGV[1])
+return 1
+`;
+
+// Append a message and touch the session, unless the session hash expired:
+// writing then would leave a partial hash without id or ownerId.
+// KEYS: session, messages. ARGV: session ttl, history ttl, max length,
+// timestamp, message JSON. Returns the owner index fields, or nil if missing
+const ADD_MESSAGE_SCRIPT = `
+if redis.call("exists", KEYS[1]) == 0 then
+  return false
+end
+redis.call("lpush", KEYS[2], ARGV[5])
+redis.call("ltrim", KEYS[2], 0, tonumber(ARGV[3]) - 1)
+redis.call("expire", KEYS[2], ARGV[2])
+redis.call("hincrby", KEYS[1], "messagesCount", 1)
+redis.call("hset", KEYS[1], "lastActivityAt", ARGV[4])
+redis.call("expire", KEYS[1], ARGV[1])
+return redis.call("hmget", KEYS[1], "ownerId", "pinned", "archived")
+`;
+
+// Set fields on a session hash only if it exists. ARGV: ttl, then
+// field/value pairs. Returns 1, or 0 if the hash expired
+const UPDATE_SESSION_SCRIPT = `
+if redis.call("exists", KEYS[1]) == 0 then
+  return 0
+end
+redis.call("hset", KEYS[1], unpack(ARGV, 2))
+redis.call("expire", KEYS[1], ARGV[1])
+return 1
+`;
+
+// HSETNX the title, only on an existing hash. ARGV: title.
+// Returns 1 if set, 0 if a title exists, -1 if the hash expired
+const SET_TITLE_IF_MISSING_SCRIPT = `
+if redis.call("exists", KEYS[1]) == 0 then
+  return -1
+end
+return redis.call("hsetnx", KEYS[1], "title", ARGV[1])
+`;
+
+// MULTI replies are [error, result] pairs; surface the first failure
+const execMulti = async (multi) => {
+  const results = await multi.exec();
+  const failed = results.find(([error]) => error);
+  if (failed) throw failed[0];
+  return results.map(([, result]) => result);
+};
+
+// Added to pinned sessions' index scores so they sort above every other one
+const PINNED_SCORE_OFFSET = 1e13;
+
+// Redis returns hash values as strings; the store keeps JSON booleans
+const isSet = (value) => String(value) === "true";
+
+// Owner index key and score for a session's current flags
+const indexEntryFor = (session, activityMs) => ({
+  key: ownerSessionsKeyFor(session.ownerId, {
+    archived: isSet(session.archived),
+  }),
+  score: activityMs + (isSet(session.pinned) ? PINNED_SCORE_OFFSET : 0),
+});
+
+/**
+ * Session fields for listings, with flags and counts as their real types
+ * @param {Object} session
+ * @returns {Object}
+ */
+const toListing = (session) => ({
+  id: session.id,
+  title: session.title || null,
+  pinned: isSet(session.pinned),
+  archived: isSet(session.archived),
+  createdAt: session.createdAt,
+  lastActivityAt: session.lastActivityAt,
+  messagesCount: parseInt(session.messagesCount) || 0,
+});
+
+// Text around the first query term, for search results
+const snippetFor = (content, terms, radius = 80) => {
+  const lower = content.toLowerCase();
+  const at = Math.max(
+    0,
+    Math.min(
+      ...terms.map((term) => lower.indexOf(term)).filter((i) => i >= 0),
+      content.length
+    ) - radius
+  );
+  const end = Math.min(content.length, at + radius * 2);
+  return `${at > 0 ? "…" : ""}${content.slice(at, end).trim()}${
+    end < content.length ? "…" : ""
+  }`;
+};
+
+const pairsToObject = (list) => {
+  const object = {};
+  for (let i = 0; i < list.length; i += 2) object[list[i]] = list[i + 1];
+  return object;
+};
+
+/**
+ * Sessions and their recent messages, cached in Redis
+ *
+ * session:<id>                    hash  id, ownerId, title, pinned, archived,
+ *                                       createdAt, lastActivityAt, messagesCount, ...
+ * messages:<id>                   list  JSON messages, newest first, capped at CHAT_HISTORY_MAX_MESSAGES
+ * user_sessions:<owner>           zset  session IDs scored by last activity (ms),
+ *                                       plus PINNED_SCORE_OFFSET when pinned
+ * user_sessions_archived:<owner>  zset  the same, for archived sessions
+ *
+ * Every message slides the expiry of the session and its messages, so active
+ * conversations stay cached; expired ones are reloaded from the conversation
+ * store. The per-owner indexes do not expire.
+ */
 const sessionUtils = {
-  async createSession(sessionId) {
-    const sessionKey = `session:${sessionId}`;
+  /**
+   * @param {string} sessionId
+   * @param {Object} [options]
+   * @param {string} [options.ownerId] - User the session belongs to
+   * @returns {Promise<Object>} The session
+   */
+  async createSession(sessionId, { ownerId } = {}) {
+    const sessionKey = sessionKeyFor(sessionId);
+    const now = new Date();
     const sessionData = {
       id: sessionId,
-      createdAt: new Date().toISOString(),
+      ...(ownerId && { ownerId: String(ownerId) }),
+      createdAt: now.toISOString(),
+      lastActivityAt: now.toISOString(),
       messagesCount: 0,
     };
-    await redis.hset(sessionKey, sessionData);
-    await redis.expire(sessionKey, parseInt(process.env.SESSION_TTL) || 86400);
+
+    // The owner must outlive the Redis keys, or the session is lost to its user
+    const store = getConversationStore();
+    if (store) {
+      await store.saveSession(sessionId, {
+        id: sessionId,
+        ...(ownerId && { ownerId: sessionData.ownerId }),
+        createdAt: sessionData.createdAt,
+      });
+    }
+
+    const multi = redis
+      .multi()
+      .hset(sessionKey, sessionData)
+      .expire(sessionKey, sessionTtl());
+    if (ownerId) {
+      multi.zadd(ownerSessionsKeyFor(ownerId), now.getTime(), sessionId);
+    }
+    await execMulti(multi);
     return sessionData;
   },
 
+  /**
+   * Fetch a session only if it belongs to `ownerId`
+   *
+   * Sessions created before ownership existed belong to nobody.
+   * @param {string} sessionId
+   * @param {string} ownerId
+   * @returns {Promise<Object|null>}
+   */
+  async getOwnedSession(sessionId, ownerId) {
+    const session = await sessionUtils.getSession(sessionId);
+    if (!session || !session.ownerId) return null;
+    return session.ownerId === String(ownerId) ? session : null;
+  },
+
+  /**
+   * An owner's sessions, pinned ones first, then most recently active first
+   * @param {string} ownerId
+   * @param {Object} [options]
+   * @param {number} [options.offset]
+   * @param {number} [options.limit]
+   * @param {boolean} [options.archived] - List archived sessions instead
+   * @returns {Promise<{sessions: Array, total: number}>} Sessions as listings
+   */
+  async listSessionsForOwner(
+    ownerId,
+    { offset = 0, limit = 20, archived = false } = {}
+  ) {
+    const indexKey = ownerSessionsKeyFor(ownerId, { archived });
+    const [ids, total] = await Promise.all([
+      redis.zrevrange(indexKey, offset, offset + limit - 1),
+      redis.zcard(indexKey),
+    ]);
+
+    const sessions = await Promise.all(
+      ids.map((id) => sessionUtils.getOwnedSession(id, ownerId))
+    );
+
+    // Drop index entries whose sessions were deleted, pruned, or whose ID now
+    // belongs to someone else
+    const missing = ids.filter((id, i) => !sessions[i]);
+    if (missing.length > 0) await redis.zrem(indexKey, ...missing);
+
+    return {
+      sessions: sessions.filter(Boolean).map(toListing),
+      total: total - missing.length,
+    };
+  },
+
+  /**
+   * Rename, pin or archive a session, moving it in its owner's index
+   * @param {Object} session - From getOwnedSession
+   * @param {Object} changes - Any of `title`, `pinned`, `archived`
+   * @returns {Promise<Object>} The updated session as a listing
+   * @throws {Error} status 404 if the session expired and cannot be restored
+   */
+  async patchSession(session, changes) {
+    const updated = { ...session, ...changes };
+    const before = indexEntryFor(session, 0);
+    const after = indexEntryFor(updated, Date.parse(updated.lastActivityAt));
+
+    const update = () =>
+      redis.eval(
+        UPDATE_SESSION_SCRIPT,
+        1,
+        sessionKeyFor(session.id),
+        sessionTtl(),
+        ...Object.entries(changes).flat()
+      );
+
+    // An expired session is restored from the store before changing it
+    let written = await update();
+    if (!written && (await sessionUtils.getSession(session.id))) {
+      written = await update();
+    }
+    if (!written) {
+      const error = new Error("Session not found");
+      error.status = 404;
+      throw error;
+    }
+
+    const multi = redis.multi();
+    if (before.key !== after.key) multi.zrem(before.key, session.id);
+    multi.zadd(after.key, after.score, session.id);
+
+    const store = getConversationStore();
+    await Promise.all([
+      execMulti(multi),
+      store && store.saveSession(session.id, changes),
+    ]);
+    return toListing(updated);
+  },
+
+  /**
+   * Set a generated title unless the session already has one, so a title the
+   * user chose meanwhile is kept
+   * @param {string} sessionId
+   * @param {string} title
+   * @returns {Promise<boolean>} Whether the title was set
+   */
+  async setTitleIfMissing(sessionId, title) {
+    const setTitle = () =>
+      redis.eval(
+        SET_TITLE_IF_MISSING_SCRIPT,
+        1,
+        sessionKeyFor(sessionId),
+        title
+      );
+
+    // An expired session is restored from the store before titling it
+    let set = await setTitle();
+    if (set === -1 && (await sessionUtils.getSession(sessionId))) {
+      set = await setTitle();
+    }
+    const store = getConversationStore();
+    if (set === 1 && store) await store.saveSession(sessionId, { title });
+    return set === 1;
+  },
+
+  /**
+   * Full-text search over an owner's session titles and messages, archived
+   * sessions included
+   *
+   * A message matches when it contains every query term. Reads each
+   * conversation in full from the store (or Redis without one), so it suits
+   * per-user histories rather than the whole keyspace.
+   * @param {string} ownerId
+   * @param {string} query
+   * @param {Object} [options]
+   * @param {number} [options.limit] - Sessions to return
+   * @returns {Promise<Array<{session: Object, matches: Array}>>} Most matches first
+   */
+  async searchSessions(ownerId, query, { limit = 20 } = {}) {
+    const terms = [...new Set(tokenize(query))];
+    if (terms.length === 0) return [];
+    const matchesAll = (text) => {
+      const tokens = new Set(tokenize(text || ""));
+      return terms.every((term) => tokens.has(term));
+    };
+
+    const [active, archived] = await Promise.all([
+      redis.zrevrange(ownerSessionsKeyFor(ownerId), 0, -1),
+      redis.zrevrange(ownerSessionsKeyFor(ownerId, { archived: true }), 0, -1),
+    ]);
+    const store = getConversationStore();
+
+    const results = [];
+    const stale = { active: [], archived: [] };
+    for (const sessionId of [...active, ...archived]) {
+      // The index may outlive the session, so check ownership as listings do
+      const session = await sessionUtils.getOwnedSession(sessionId, ownerId);
+      if (!session) {
+        stale[active.includes(sessionId) ? "active" : "archived"].push(
+          sessionId
+        );
+        continue;
+      }
+
+      const messages = store
+        ? await store.getMessages(sessionId, Infinity)
+        : (await redis.lrange(messagesKeyFor(sessionId), 0, -1))
+            .map((msg) => JSON.parse(msg))
+            .reverse();
+      const matches = messages.filter((msg) => matchesAll(msg.content));
+      const titleMatches = matchesAll(session.title);
+      if (matches.length === 0 && !titleMatches) continue;
+
+      results.push({
+        session: toListing(session),
+        score: matches.length + (titleMatches ? 1 : 0),
+        matchCount: matches.length,
+        matches: matches.slice(0, 3).map((msg) => ({
+          role: msg.role,
+          timestamp: msg.timestamp,
+          snippet: snippetFor(msg.content, terms),
+        })),
+      });
+    }
+
+    await Promise.all(
+      Object.entries(stale)
+        .filter(([, ids]) => ids.length > 0)
+        .map(([list, ids]) =>
+          redis.zrem(
+            ownerSessionsKeyFor(ownerId, { archived: list === "archived" }),
+            ...ids
+          )
+        )
+    );
+
+    // Stable sort keeps the index order (recent first) among equal scores
+    return results
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit)
+      .map(({ score: _score, ...result }) => result);
+  },
+
+  // Sessions whose Redis keys expired are restored from the conversation store
   async getSession(sessionId) {
-    const sessionKey = `session:${sessionId}`;
+    const sessionKey = sessionKeyFor(sessionId);
     const session = await redis.hgetall(sessionKey);
-    return Object.keys(session).length ? session : null;
+    if (Object.keys(session).length) return session;
+
+    const store = getConversationStore();
+    const stored = store && (await store.getSession(sessionId));
+    if (!stored) return null;
+
+    const [, hash] = await redis.eval(
+      GET_OR_CREATE_SESSION_SCRIPT,
+      1,
+      sessionKey,
+      sessionTtl(),
+      ...Object.entries(stored).flat()
+    );
+    logger.info("Session restored from conversation store", { sessionId });
+    return pairsToObject(hash);
+  },
+
+  // An expired hash is left alone; the store has the fields for its restore
+  async updateSession(sessionId, fields) {
+    const store = getConversationStore();
+    await Promise.all([
+      redis.eval(
+        UPDATE_SESSION_SCRIPT,
+        1,
+        sessionKeyFor(sessionId),
+        sessionTtl(),
+        ...Object.entries(fields).flat()
+      ),
+      store && store.saveSession(sessionId, fields),
+    ]);
   },
 
   async deleteSession(sessionId) {
-    const sessionKey = `session:${sessionId}`;
-    const messagesKey = `messages:${sessionId}`;
-    await Promise.all([redis.del(sessionKey), redis.del(messagesKey)]);
+    const store = getConversationStore();
+    const ownerId =
+      (await redis.hget(sessionKeyFor(sessionId), "ownerId")) ||
+      (store && (await store.getSession(sessionId))?.ownerId);
+
+    await Promise.all([
+      redis.del(sessionKeyFor(sessionId), messagesKeyFor(sessionId)),
+      ownerId &&
+        execMulti(
+          redis
+            .multi()
+            .zrem(ownerSessionsKeyFor(ownerId), sessionId)
+            .zrem(ownerSessionsKeyFor(ownerId, { archived: true }), sessionId)
+        ),
+      store && store.deleteSession(sessionId),
+    ]);
   },
 
+  // Written through to the conversation store, which outlives CHAT_HISTORY_TTL
   async addMessage(sessionId, message) {
-    const messagesKey = `messages:${sessionId}`;
-    const sessionKey = `session:${sessionId}`;
-    await redis.lpush(
-      messagesKey,
-      JSON.stringify({
-        ...message,
-        timestamp: new Date().toISOString(),
-      })
-    );
-    await redis.hincrby(sessionKey, "messagesCount", 1);
-    await redis.expire(
-      messagesKey,
-      parseInt(process.env.CHAT_HISTORY_TTL) || 3600
-    );
+    const messagesKey = messagesKeyFor(sessionId);
+    const sessionKey = sessionKeyFor(sessionId);
+    const record = { ...message, timestamp: new Date().toISOString() };
+
+    const store = getConversationStore();
+    if (store) {
+      // Reload expired history first so the list is not restarted from this message
+      if (!(await redis.exists(messagesKey))) {
+        await sessionUtils.getMessages(sessionId);
+      }
+      try {
+        await store.appendMessage(sessionId, record);
+      } catch (error) {
+        // Redis still has the message; the chat should not fail over it
+        logger.error("Failed to persist message", {
+          sessionId,
+          error: error.message,
+        });
+      }
+    }
+
+    const append = () =>
+      redis.eval(
+        ADD_MESSAGE_SCRIPT,
+        2,
+        sessionKey,
+        messagesKey,
+        sessionTtl(),
+        historyTtl(),
+        historyMaxMessages(),
+        record.timestamp,
+        JSON.stringify(record)
+      );
+
+    // An expired session is restored from the store before writing to it
+    let fields = await append();
+    if (!fields && (await sessionUtils.getSession(sessionId))) {
+      fields = await append();
+    }
+    if (!fields) {
+      const error = new Error("Session not found");
+      error.status = 404;
+      throw error;
+    }
+
+    const [ownerId, pinned, archived] = fields;
+    if (ownerId) {
+      const { key, score } = indexEntryFor(
+        { ownerId, pinned, archived },
+        Date.parse(record.timestamp)
+      );
+      await redis.zadd(key, score, sessionId);
+    }
+  },
+
+  // SCAN rather than KEYS so large keyspaces do not block Redis
+  async countSessions() {
+    let cursor = "0";
+    let count = 0;
+    do {
+      const [next, keys] = await redis.scan(
+        cursor,
+        "MATCH",
+        "session:*",
+        "COUNT",
+        1000
+      );
+      cursor = next;
+      count += keys.length;
+    } while (cursor !== "0");
+    return count;
   },
 
   async getMessages(sessionId, limit = 50) {
-    const messagesKey = `messages:${sessionId}`;
+    const messagesKey = messagesKeyFor(sessionId);
     const messages = await redis.lrange(messagesKey, 0, limit - 1);
-    return messages.map((msg) => JSON.parse(msg)).reverse();
+    if (messages.length > 0) {
+      return messages.map((msg) => JSON.parse(msg)).reverse();
+    }
+
+    // Cache miss: reload the most recent messages from the store
+    const store = getConversationStore();
+    if (!store) return [];
+    const stored = await store.getMessages(
+      sessionId,
+      Math.min(Math.max(limit, HISTORY_CACHE_LIMIT), historyMaxMessages())
+    );
+    if (stored.length === 0) return [];
+
+    const rehydrated = await redis.eval(
+      REHYDRATE_MESSAGES_SCRIPT,
+      1,
+      messagesKey,
+      historyTtl(),
+      historyMaxMessages(),
+      // The list is newest first
+      ...stored
+        .slice()
+        .reverse()
+        .map((msg) => JSON.stringify(msg))
+    );
+    if (rehydrated) {
+      logger.debug("Messages rehydrated from conversation store", {
+        sessionId,
+        count: stored.length,
+      });
+    }
+    return stored.slice(-limit);
   },
 };
 
 // ----------------------------
 // Vector Store Utilities (HTTP API)
 // ----------------------------
+// Qdrant accepts unsigned integers or UUID strings as point IDs
+const UUID_PATTERN =
+  /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+const toPointId = (id) => {
+  if (typeof id === "string" && UUID_PATTERN.test(id)) return id;
+  if (Number.isSafeInteger(Number(id)) && Number(id) >= 0) return Number(id);
+  throw new Error(`Invalid Qdrant point ID: ${id}`);
+};
+
 const vectorUtils = {
   async addEmbedding(id, embedding, metadata) {
     const collectionName = "news_embeddings";
@@ -241,7 +855,7 @@ const vectorUtils = {
     try {
       const result = await qdrantHttp.upsertPoints(collectionName, [
         {
-          id: parseInt(id) || Date.now(),
+          id: toPointId(id),
           vector: embedding,
           payload: metadata,
         },
@@ -259,7 +873,146 @@ const vectorUtils = {
     }
   },
 
-  async searchSimilar(queryEmbedding, limit = 5) {
+  async addEmbeddings(points) {
+    const collectionName = "news_embeddings";
+
+    try {
+      return await qdrantHttp.upsertPoints(
+        collectionName,
+        points.map((point) => ({ ...point, id: toPointId(point.id) }))
+      );
+    } catch (error) {
+      logger.error(`Qdrant batch upsert error details:`, {
+        message: error.message,
+        pointsCount: points.length,
+        ids: points.map((p) => p.id).slice(0, 5),
+      });
+      throw error;
+    }
+  },
+
+  async getPoints(ids, withPayload = true) {
+    const collectionName = "news_embeddings";
+    const result = await qdrantHttp.getPoints(
+      collectionName,
+      ids.map(toPointId),
+      withPayload
+    );
+    return result.result.map((point) => ({
+      id: point.id,
+      metadata: point.payload,
+    }));
+  },
+
+  async deletePoints(ids) {
+    const collectionName = "news_embeddings";
+    if (ids.length === 0) return;
+    await qdrantHttp.deletePoints(collectionName, {
+      points: ids.map(toPointId),
+    });
+  },
+
+  // Points written before chunked ingestion have no article_id
+  async deleteLegacyPoints() {
+    const collectionName = "news_embeddings";
+    await qdrantHttp.deletePoints(collectionName, {
+      filter: { must: [{ is_empty: { key: "article_id" } }] },
+    });
+  },
+
+  async getCollectionStats() {
+    const collectionName = "news_embeddings";
+    const { result } = await qdrantHttp.getCollection(collectionName);
+    const vectors = result.config?.params?.vectors || {};
+
+    return {
+      collection: collectionName,
+      status: result.status,
+      optimizer_status: result.optimizer_status,
+      points_count: result.points_count ?? 0,
+      indexed_vectors_count: result.indexed_vectors_count ?? 0,
+      segments_count: result.segments_count ?? 0,
+      dimension: vectors.size ?? null,
+      distance: vectors.distance ?? null,
+    };
+  },
+
+  // Each article has exactly one chunk 0, so counting those counts articles
+  async countArticles(filter = {}) {
+    const collectionName = "news_embeddings";
+    const { result } = await qdrantHttp.countPoints(collectionName, {
+      filter: {
+        ...filter,
+        must: [
+          { key: "chunk_index", match: { value: 0 } },
+          ...(filter.must || []),
+        ],
+      },
+      exact: true,
+    });
+    return result.count;
+  },
+
+  // Oldest and newest published_at, via the datetime payload index
+  async getArticleDateRange() {
+    const collectionName = "news_embeddings";
+    const edge = async (direction) => {
+      const { result } = await qdrantHttp.scrollPoints(collectionName, {
+        filter: { must: [{ key: "chunk_index", match: { value: 0 } }] },
+        order_by: { key: "published_at", direction },
+        limit: 1,
+        with_payload: ["published_at"],
+        with_vector: false,
+      });
+      return result.points[0]?.payload?.published_at || null;
+    };
+
+    const [oldest, newest] = await Promise.all([edge("asc"), edge("desc")]);
+    return { oldest, newest };
+  },
+
+  // Points among `ids` that also match `filter`, with payloads
+  async getPointsMatching(ids, filter) {
+    const collectionName = "news_embeddings";
+    if (ids.length === 0) return [];
+
+    const { result } = await qdrantHttp.scrollPoints(collectionName, {
+      filter: {
+        ...filter,
+        must: [{ has_id: ids.map(toPointId) }, ...(filter?.must || [])],
+      },
+      limit: ids.length,
+      with_payload: true,
+      with_vector: false,
+    });
+    return result.points.map((point) => ({
+      id: point.id,
+      metadata: point.payload,
+    }));
+  },
+
+  // Page through every point: yields arrays of { id, metadata }
+  async *scrollAll(batchSize = 256) {
+    const collectionName = "news_embeddings";
+    let offset = null;
+    do {
+      const { result } = await qdrantHttp.scrollPoints(collectionName, {
+        limit: batchSize,
+        with_payload: true,
+        with_vector: false,
+        ...(offset !== null && { offset }),
+      });
+      yield result.points.map((point) => ({
+        id: point.id,
+        metadata: point.payload,
+      }));
+      offset = result.next_page_offset ?? null;
+    } while (offset !== null);
+  },
+
+  // filter: optional Qdrant filter clause, e.g. from toQdrantFilter
+  // scoreThreshold: minimum cosine similarity, see getScoreThreshold
+  async searchSimilar(queryEmbedding, limit = 5, filter, scoreThreshold = 0.7) {
     const collectionName = "news_embeddings";
 
     try {
@@ -267,7 +1020,8 @@ const vectorUtils = {
         vector: queryEmbedding,
         limit: limit,
         with_payload: true,
-        score_threshold: 0.7,
+        score_threshold: scoreThreshold,
+        ...(filter && { filter }),
       });
 
       return result.result.map((point) => ({
@@ -287,6 +1041,7 @@ const vectorUtils = {
 // ----------------------------
 module.exports = {
   initializeServices,
+  initializeRedis,
   get redis() {
     return redis;
   },
@@ -0,0 +1,93 @@
+// src/config/extractionRules.js
+const fs = require("fs");
+const logger = require("../utils/logger");
+
+/**
+ * Per-site extraction rules, keyed by hostname (subdomains match too)
+ *
+ * content - selector(s) whose text makes up the article body
+ * remove  - extra selectors stripped before extraction
+ * byline  - selector for the author name
+ * date    - selector for the publish date (`datetime` attribute or text)
+ * image   - selector for the lead image (`src` attribute)
+ *
+ * Sites without rules use the generic scoring extractor. Rules from the JSON
+ * file in EXTRACTION_RULES_FILE are merged over these defaults.
+ */
+const DEFAULT_RULES = {
+  "bbc.co.uk": {
+    content: "article [data-component='text-block']",
+    remove: ["[data-component='links-block']", "[data-component='tags']"],
+    byline: "[data-testid='byline-new-contributors'] span",
+  },
+  "bbc.com": {
+    content: "article [data-component='text-block']",
+    remove: ["[data-component='links-block']", "[data-component='tags']"],
+    byline: "[data-testid='byline-new-contributors'] span",
+  },
+  "theguardian.com": {
+    content: "[data-gu-name='body'] p, .article-body-commercial-selector p",
+    remove: ["[data-spacefinder-role='inline']", "aside"],
+    byline: "a[rel='author']",
+  },
+  "npr.org": {
+    content: "#storytext > p",
+    remove: [".bucketwrap", ".credit-caption"],
+    byline: ".byline__name",
+  },
+  "reuters.com": {
+    content: "[data-testid^='paragraph-']",
+    byline: "a[rel='author']",
+  },
+};
+
+let cachedRules;
+
+/**
+ * Defaults merged with the optional EXTRACTION_RULES_FILE overrides
+ * @returns {Object}
+ */
+function loadExtractionRules() {
+  if (cachedRules) return cachedRules;
+
+  cachedRules = { ...DEFAULT_RULES };
+  const file = process.env.EXTRACTION_RULES_FILE;
+  if (file) {
+    try {
+      const overrides = JSON.parse(fs.readFileSync(file, "utf8"));
+      for (const [host, rules] of Object.entries(overrides)) {
+        cachedRules[host] = { ...cachedRules[host], ...rules };
+      }
+      logger.info(`Loaded extraction rules from ${file}`);
+    } catch (err) {
+      logger.error(
+        `Failed to load extraction rules from ${file}: ${err.message}`
+      );
+    }
+  }
+
+  return cachedRules;
+}
+
+/**
+ * Rules for the site serving a URL, or an empty object
+ * @param {string} url
+ * @returns {Object}
+ */
+function getSiteRules(url) {
+  let hostname;
+  try {
+    hostname = new URL(url).hostname.replace(/^www\./, "");
+  } catch {
+    return {};
+  }
+
+  const rules = loadExtractionRules();
+  const match = Object.keys(rules)
+    .filter((host) => hostname === host || hostname.endsWith(`.${host}`))
+    .sort((a, b) => b.length - a.length)[0];
+
+  return match ? rules[match] : {};
+}
+
+module.exports = { DEFAULT_RULES, getSiteRules, loadExtractionRules };
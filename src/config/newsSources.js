@@ -0,0 +1,50 @@
+// src/config/newsSources.js
+
+// Source types the ingestion pipeline knows how to fetch
+const SOURCE_TYPES = ["rss", "atom", "sitemap", "jsonfeed"];
+
+// Seeded into the source registry the first time it is used
+const DEFAULT_SOURCES = [
+  {
+    id: "bbc-news",
+    type: "rss",
+    url: "http://feeds.bbci.co.uk/news/rss.xml",
+    label: "BBC News",
+    category: "general",
+    language: "en",
+    enabled: true,
+    fetchIntervalMinutes: 60,
+  },
+  {
+    id: "npr-news",
+    type: "rss",
+    url: "https://feeds.npr.org/1004/rss.xml",
+    label: "NPR World",
+    category: "world",
+    language: "en",
+    enabled: true,
+    fetchIntervalMinutes: 60,
+  },
+  {
+    id: "guardian-world",
+    type: "rss",
+    url: "https://www.theguardian.com/world/rss",
+    label: "The Guardian World",
+    category: "world",
+    language: "en",
+    enabled: true,
+    fetchIntervalMinutes: 60,
+  },
+  {
+    id: "reuters",
+    type: "sitemap",
+    url: "https://www.reuters.com/arc/outboundfeeds/sitemap-index/?outputType=xml",
+    label: "Reuters",
+    category: "general",
+    language: "en",
+    enabled: true,
+    fetchIntervalMinutes: 180,
+  },
+];
+
+module.exports = { SOURCE_TYPES, DEFAULT_SOURCES };
@@ -0,0 +1,260 @@
+// src/config/promptTemplates.js
+const fs = require("fs");
+const path = require("path");
+const logger = require("../utils/logger");
+
+/**
+ * Templates the code renders, the sections each must have and the variables
+ * each must use
+ *
+ * system        - shared persona, prepended to the answer templates' system text
+ * rag_answer    - answer from numbered articles (`context`) to `query`
+ * fallback      - answer to a message that needs no articles
+ * query_rewrite - standalone question from a follow-up and its `transcript`
+ * summarize     - rolling summary from the previous `summary` and new turns
+ * session_title - title for the session list from the first exchange
+ */
+const TEMPLATE_SPECS = {
+  system: { sections: ["system"], variables: [] },
+  rag_answer: { sections: ["system", "user"], variables: ["context", "query"] },
+  fallback: { sections: ["system", "user"], variables: ["query"] },
+  query_rewrite: {
+    sections: ["system", "user"],
+    variables: ["transcript", "query"],
+  },
+  summarize: {
+    sections: ["system", "user"],
+    variables: ["summary", "transcript"],
+  },
+  session_title: { sections: ["system", "user"], variables: ["transcript"] },
+};
+
+const DEFAULT_PROMPTS_DIR = path.resolve(__dirname, "../../prompts");
+const VERSION_FILE = /^v(\d+)\.txt$/;
+const SECTION_HEADER = /^##\s*(\w+)\s*$/;
+const VARIABLE = /\{\{\s*(\w+)\s*\}\}/g;
+
+/**
+ * Split a template file into its `## system` / `## user` sections
+ *
+ * Text before the first header is a comment for editors and is ignored.
+ * @param {string} text
+ * @returns {Object<string, string>} Section name → trimmed text
+ */
+function parseTemplate(text) {
+  const sections = {};
+  let current = null;
+
+  for (const line of text.split(/\r?\n/)) {
+    const header = line.match(SECTION_HEADER);
+    if (header) {
+      current = header[1].toLowerCase();
+      sections[current] = [];
+    } else if (current) {
+      sections[current].push(line);
+    }
+  }
+
+  return Object.fromEntries(
+    Object.entries(sections).map(([name, lines]) => [
+      name,
+      lines.join("\n").trim(),
+    ])
+  );
+}
+
+/**
+ * Problems with a parsed template, empty when it is valid
+ * @param {string} name
+ * @param {Object<string, string>} sections
+ * @returns {string[]}
+ */
+function validateTemplate(name, sections) {
+  const spec = TEMPLATE_SPECS[name];
+  const problems = [];
+
+  for (const section of Object.keys(sections)) {
+    if (!spec.sections.includes(section)) {
+      problems.push(`unknown section '## ${section}'`);
+    }
+  }
+  for (const section of spec.sections) {
+    if (!sections[section]) problems.push(`missing '## ${section}' section`);
+  }
+
+  const used = new Set(
+    Object.values(sections).flatMap((text) =>
+      [...text.matchAll(VARIABLE)].map((match) => match[1])
+    )
+  );
+  for (const variable of used) {
+    if (!spec.variables.includes(variable)) {
+      problems.push(`unknown variable {{${variable}}}`);
+    }
+  }
+  for (const variable of spec.variables) {
+    if (!used.has(variable)) problems.push(`does not use {{${variable}}}`);
+  }
+
+  return problems;
+}
+
+/**
+ * A loaded set of templates, one active version per name
+ */
+class PromptTemplates {
+  /**
+   * @param {Object<string, {name: string, version: number, sections: Object}>} templates
+   */
+  constructor(templates) {
+    this.templates = templates;
+  }
+
+  /**
+   * @param {string} name
+   * @returns {{name: string, version: number, sections: Object}}
+   */
+  get(name) {
+    const template = this.templates[name];
+    if (!template) throw new Error(`Unknown prompt template '${name}'`);
+    return template;
+  }
+
+  /**
+   * Interpolate `{{variable}}` placeholders in every section
+   * @param {string} name
+   * @param {Object<string, string>} [variables]
+   * @returns {{name: string, version: number, system?: string, user?: string}}
+   */
+  render(name, variables = {}) {
+    const { version, sections } = this.get(name);
+    const rendered = { name, version };
+
+    for (const [section, text] of Object.entries(sections)) {
+      rendered[section] = text.replace(VARIABLE, (_, variable) => {
+        if (variables[variable] === undefined) {
+          throw new Error(
+            `Prompt template '${name}' needs a value for {{${variable}}}`
+          );
+        }
+        return String(variables[variable]);
+      });
+    }
+
+    return rendered;
+  }
+
+  /**
+   * Active `name@version` per template, for logs
+   * @returns {string[]}
+   */
+  describe() {
+    return Object.values(this.templates).map(
+      ({ name, version }) => `${name}@v${version}`
+    );
+  }
+}
+
+/**
+ * Load and validate the active version of every template
+ *
+ * Each template is a directory of versions, `<dir>/<name>/v<N>.txt`. The
+ * highest version is used unless PROMPT_VERSIONS pins one, e.g.
+ * `{"rag_answer": 2}`. Every problem found is reported in one error.
+ * @param {Object} [options]
+ * @param {string} [options.dir] - Defaults to PROMPTS_DIR, then ./prompts
+ * @param {Object<string, number>} [options.versions] - Defaults to PROMPT_VERSIONS
+ * @returns {PromptTemplates}
+ */
+function loadPromptTemplates({
+  dir = process.env.PROMPTS_DIR || DEFAULT_PROMPTS_DIR,
+  versions,
+} = {}) {
+  if (versions === undefined) {
+    try {
+      versions = JSON.parse(process.env.PROMPT_VERSIONS || "{}");
+    } catch (error) {
+      throw new Error(`PROMPT_VERSIONS is not valid JSON: ${error.message}`);
+    }
+  }
+
+  const problems = [];
+  const templates = {};
+
+  for (const name of Object.keys(versions)) {
+    if (!TEMPLATE_SPECS[name]) {
+      problems.push(`PROMPT_VERSIONS: unknown template '${name}'`);
+    }
+  }
+
+  for (const name of Object.keys(TEMPLATE_SPECS)) {
+    const templateDir = path.join(dir, name);
+    let available = [];
+    try {
+      available = fs
+        .readdirSync(templateDir)
+        .map((file) => file.match(VERSION_FILE))
+        .filter(Boolean)
+        .map((match) => parseInt(match[1]));
+    } catch {
+      // Reported below as having no versions
+    }
+    if (available.length === 0) {
+      problems.push(`${name}: no versions found in ${templateDir}`);
+      continue;
+    }
+
+    const version =
+      versions[name] !== undefined
+        ? parseInt(versions[name])
+        : Math.max(...available);
+    if (!available.includes(version)) {
+      problems.push(
+        `${name}: version ${versions[name]} not found (have ${available
+          .sort((a, b) => a - b)
+          .join(", ")})`
+      );
+      continue;
+    }
+
+    const file = path.join(templateDir, `v${version}.txt`);
+    const sections = parseTemplate(fs.readFileSync(file, "utf8"));
+    const errors = validateTemplate(name, sections);
+    if (errors.length > 0) {
+      problems.push(...errors.map((error) => `${name}@v${version}: ${error}`));
+      continue;
+    }
+
+    templates[name] = { name, version, sections };
+  }
+
+  if (problems.length > 0) {
+    throw new Error(`Invalid prompt templates:\n  ${problems.join("\n  ")}`);
+  }
+
+  return new PromptTemplates(templates);
+}
+
+let cachedTemplates;
+
+/**
+ * Templates for the configured environment, loaded on first use
+ * @returns {PromptTemplates}
+ */
+function getPromptTemplates() {
+  if (!cachedTemplates) {
+    cachedTemplates = loadPromptTemplates();
+    logger.info(
+      `Loaded prompt templates: ${cachedTemplates.describe().join(", ")}`
+    );
+  }
+  return cachedTemplates;
+}
+
+module.exports = {
+  TEMPLATE_SPECS,
+  PromptTemplates,
+  parseTemplate,
+  loadPromptTemplates,
+  getPromptTemplates,
+};
@@ -0,0 +1,98 @@
+// src/config/retrieval.js
+const logger = require("../utils/logger");
+
+/**
+ * Default minimum cosine similarity per embedding provider
+ *
+ * Similarity scales differ a lot between models: Jina scores related news in
+ * the 0.7-0.9 range, OpenAI's text-embedding-3 models around 0.3-0.6, and the
+ * local hashing provider lower still.
+ */
+const DEFAULT_SCORE_THRESHOLDS = {
+  jina: 0.7,
+  openai: 0.3,
+  local: 0.1,
+};
+const FALLBACK_SCORE_THRESHOLD = 0.5;
+
+function parseThresholdMap(raw) {
+  if (!raw) return {};
+  try {
+    return JSON.parse(raw);
+  } catch (err) {
+    logger.error(`Invalid VECTOR_SCORE_THRESHOLDS JSON: ${err.message}`);
+    return {};
+  }
+}
+
+/**
+ * Absolute vector score threshold for a collection and embedding model
+ *
+ * Looked up in VECTOR_SCORE_THRESHOLDS (JSON keyed by collection name,
+ * `provider:model` or provider), then VECTOR_SCORE_THRESHOLD, then the
+ * provider default.
+ * @param {Object} target
+ * @param {string} target.collection
+ * @param {string} target.provider - Embedding provider name
+ * @param {string} [target.model]
+ * @param {Object} [env]
+ * @returns {number}
+ */
+function getScoreThreshold({ collection, provider, model }, env = process.env) {
+  const overrides = parseThresholdMap(env.VECTOR_SCORE_THRESHOLDS);
+  const keys = [collection, `${provider}:${model}`, provider];
+
+  for (const key of keys) {
+    if (typeof overrides[key] === "number") return overrides[key];
+  }
+  if (env.VECTOR_SCORE_THRESHOLD !== undefined) {
+    const value = parseFloat(env.VECTOR_SCORE_THRESHOLD);
+    if (!Number.isNaN(value)) return value;
+  }
+  return DEFAULT_SCORE_THRESHOLDS[provider] ?? FALLBACK_SCORE_THRESHOLD;
+}
+
+/**
+ * Cutoffs applied after the absolute threshold
+ * @param {Object} [env]
+ * @returns {{relativeCutoff: number, minDocuments: number, lexicalThreshold: number, rerankMinScore: number}}
+ */
+function getRetrievalCutoffs(env = process.env) {
+  const number = (value, fallback) => {
+    const parsed = parseFloat(value);
+    return Number.isNaN(parsed) ? fallback : parsed;
+  };
+
+  return {
+    // Drop vector hits scoring more than this below the best hit (0 disables)
+    relativeCutoff: number(env.RETRIEVAL_RELATIVE_CUTOFF, 0.2),
+    // The relative cutoff never leaves fewer hits than this
+    minDocuments: Math.max(parseInt(env.RETRIEVAL_MIN_DOCUMENTS) || 2, 1),
+    // Minimum BM25 score as a share of the best possible score for the query
+    lexicalThreshold: number(env.LEXICAL_SCORE_THRESHOLD, 0.3),
+    // Minimum reranker score (0 keeps everything)
+    rerankMinScore: number(env.RERANK_MIN_SCORE, 0),
+  };
+}
+
+/**
+ * Keep results within `cutoff` of the best score, but at least `minDocuments`
+ * @param {Array<{score: number}>} results - Best first
+ * @param {number} cutoff
+ * @param {number} minDocuments
+ * @returns {Array}
+ */
+function applyRelativeCutoff(results, cutoff, minDocuments) {
+  if (!cutoff || results.length === 0) return results;
+  const floor = results[0].score - cutoff;
+  return results.filter(
+    (result, i) => i < minDocuments || result.score >= floor
+  );
+}
+
+module.exports = {
+  DEFAULT_SCORE_THRESHOLDS,
+  getScoreThreshold,
+  getRetrievalCutoffs,
+  applyRelativeCutoff,
+};
@@ -1,14 +1,165 @@
 // src/controllers/chatController.js
 const { v4: uuidv4 } = require("uuid");
-const { sessionUtils, vectorUtils } = require("../config/database");
+const { sessionUtils } = require("../config/database");
 const EmbeddingsService = require("../services/embeddings");
-const LLMService = require("../services/llm");
+const HybridRetriever = require("../services/hybridRetriever");
+const QueryRewriter = require("../services/queryRewriter");
+const { getReranker, rerankDocuments } = require("../services/rerankers");
+const LLMService = require("../services/llmService");
+const { validateLLMOverride } = require("../services/llmProviders");
+const {
+  parseRetrievalFilters,
+  toQdrantFilter,
+} = require("../utils/retrievalFilters");
 const logger = require("../utils/logger");
 
+// Documents passed to the prompt, and candidates considered when reranking
+const TOP_K = parseInt(process.env.RERANK_TOP_K) || 5;
+const RERANK_CANDIDATES = parseInt(process.env.RERANK_CANDIDATES) || 30;
+
 class ChatController {
   constructor() {
     this.embeddingsService = new EmbeddingsService();
     this.llmService = new LLMService();
+    this.llmServices = new Map();
+    this.retriever = new HybridRetriever({
+      embeddingsService: this.embeddingsService,
+    });
+    this.reranker = getReranker();
+    this.queryRewriter = new QueryRewriter();
+  }
+
+  /**
+   * Rewrite a follow-up message into a standalone question for retrieval
+   * @param {string} message
+   * @param {Array} conversationHistory
+   * @param {LLMService} llmService
+   * @param {string} sessionId
+   * @returns {Promise<{original: string, rewritten: string, method: string}>}
+   */
+  async rewriteQuery(message, conversationHistory, llmService, sessionId) {
+    const query = await this.queryRewriter.rewrite(
+      message,
+      conversationHistory,
+      llmService
+    );
+    if (query.method !== "none") {
+      logger.info("Query rewritten for retrieval", { sessionId, ...query });
+    }
+    return query;
+  }
+
+  /**
+   * Messages not yet folded into the session's rolling summary, and the summary
+   * @param {string} sessionId
+   * @param {Object} session - From sessionUtils.getSession
+   * @returns {Promise<{history: Array, summary: string}>}
+   */
+  async loadConversation(sessionId, session) {
+    const messages = await sessionUtils.getMessages(sessionId);
+    const { summary = "", summarizedThrough } = session;
+    return {
+      history: summarizedThrough
+        ? messages.filter((msg) => msg.timestamp > summarizedThrough)
+        : messages,
+      summary,
+    };
+  }
+
+  /**
+   * Fold turns that have left the prompt window into the rolling summary
+   *
+   * Runs after the reply so it never delays it; the next request picks it up.
+   * @param {string} sessionId
+   * @param {{history: Array, summary: string}} conversation - From loadConversation
+   * @param {Array} newMessages - This exchange, not yet in `history`
+   * @param {LLMService} llmService
+   * @param {number} [historyBudget] - From the prompt of this exchange
+   */
+  updateSummary(
+    sessionId,
+    { history, summary },
+    newMessages,
+    llmService,
+    historyBudget
+  ) {
+    llmService
+      .updateHistorySummary([...history, ...newMessages], summary, {
+        historyBudget,
+      })
+      .then((update) => {
+        if (!update) return;
+        logger.debug("Conversation summary updated", {
+          sessionId,
+          summarizedThrough: update.summarizedThrough,
+        });
+        return sessionUtils.updateSession(sessionId, update);
+      })
+      .catch((error) => {
+        logger.warn("Failed to update conversation summary", {
+          sessionId,
+          error: error.message,
+        });
+      });
+  }
+
+  /**
+   * Title an untitled session from the exchange just completed
+   *
+   * Runs after the reply, like updateSummary; a title the user sets first wins.
+   * @param {Object} session
+   * @param {string} userMessage
+   * @param {string} reply
+   * @param {LLMService} llmService
+   */
+  updateTitle(session, userMessage, reply, llmService) {
+    if (session.title) return;
+
+    llmService
+      .generateSessionTitle(userMessage, reply)
+      .then((title) => sessionUtils.setTitleIfMissing(session.id, title))
+      .catch((error) => {
+        logger.warn("Failed to title session", {
+          sessionId: session.id,
+          error: error.message,
+        });
+      });
+  }
+
+  /**
+   * Pick the LLM for a request: the environment default, or a per-request
+   * `{provider, model}` override when LLM_ALLOW_REQUEST_OVERRIDE is enabled;
+   * models must be listed in LLM_ALLOWED_MODELS
+   * @param {Object} [llmOptions] - `llm` field of the request body
+   * @returns {LLMService}
+   */
+  resolveLLMService(llmOptions) {
+    if (!llmOptions || (!llmOptions.provider && !llmOptions.model)) {
+      return this.llmService;
+    }
+
+    if (process.env.LLM_ALLOW_REQUEST_OVERRIDE !== "true") {
+      const error = new Error("Per-request LLM selection is disabled");
+      error.status = 400;
+      throw error;
+    }
+
+    // Only allowed values get this far, so the cache below stays bounded
+    const { provider, model } = llmOptions;
+    validateLLMOverride({ provider, model });
+
+    const key = `${provider || ""}:${model || ""}`;
+    if (!this.llmServices.has(key)) {
+      try {
+        this.llmServices.set(key, new LLMService({ provider, model }));
+      } catch (err) {
+        // Usually a missing API key for the requested provider
+        const error = new Error(err.message);
+        error.status = 400;
+        throw error;
+      }
+    }
+    return this.llmServices.get(key);
   }
 
   /**
@@ -37,20 +188,31 @@ class ChatController {
         });
       }
 
+      let llmService;
+      let filters;
+      try {
+        llmService = this.resolveLLMService(req.body.llm);
+        filters = parseRetrievalFilters(req.body.filters);
+      } catch (error) {
+        return res.status(error.status || 400).json({ error: error.message });
+      }
+
       const userMessage = message.trim();
       logger.info("Processing chat message", {
         sessionId,
         messageLength: userMessage.length,
       });
 
-      // Get or create session
-      let session = await sessionUtils.getSession(sessionId);
+      const session = await sessionUtils.getOwnedSession(
+        sessionId,
+        req.user.id
+      );
       if (!session) {
-        session = await sessionUtils.createSession(sessionId);
+        return res.status(404).json({ error: "Session not found" });
       }
 
       // Get conversation history
-      const conversationHistory = await sessionUtils.getMessages(sessionId);
+      const conversation = await this.loadConversation(sessionId, session);
 
       // Add user message to history
       await sessionUtils.addMessage(sessionId, {
@@ -58,16 +220,37 @@ class ChatController {
         content: userMessage,
       });
 
+      // Resolve follow-ups ("what did he say next?") before classifying
+      const query = await this.rewriteQuery(
+        userMessage,
+        conversation.history,
+        llmService,
+        sessionId
+      );
+
       // Check if query is news-related
-      const isNewsRelated = await this.llmService.isNewsRelated(userMessage);
+      const isNewsRelated = await llmService.isNewsRelated(query.rewritten);
 
       let response;
       if (isNewsRelated) {
         // Process with RAG pipeline
-        response = await this.processRAGQuery(userMessage, conversationHistory);
+        response = await this.processRAGQuery(
+          userMessage,
+          conversation,
+          llmService,
+          filters,
+          query.rewritten
+        );
       } else {
         // Generate general response
-        response = await this.llmService.generateFallbackResponse(userMessage);
+        response = {
+          ...(await llmService.generateFallbackResponse(
+            userMessage,
+            conversation.history,
+            { summary: conversation.summary }
+          )),
+          coverage: "not_applicable",
+        };
       }
 
       // Add assistant message to history
@@ -75,12 +258,33 @@ class ChatController {
         role: "assistant",
         content: response.response,
         sources: response.sources || [],
+        citations: response.citations || [],
+        coverage: response.coverage,
+        prompt: response.prompt || null,
       });
+      this.updateSummary(
+        sessionId,
+        conversation,
+        [
+          { role: "user", content: userMessage },
+          { role: "assistant", content: response.response },
+        ],
+        llmService,
+        response.historyBudget
+      );
+      this.updateTitle(session, userMessage, response.response, llmService);
 
       res.json({
         sessionId,
         message: response.response,
         sources: response.sources || [],
+        citations: response.citations || [],
+        coverage: response.coverage,
+        llm: {
+          provider: llmService.provider.name,
+          model: llmService.modelName,
+        },
+        ...(req.body.debug === true && { debug: { query } }),
         timestamp: new Date().toISOString(),
       });
     } catch (error) {
@@ -117,6 +321,23 @@ class ChatController {
         return res.status(400).json({ error: "Session ID is required" });
       }
 
+      let llmService;
+      let filters;
+      try {
+        llmService = this.resolveLLMService(req.body.llm);
+        filters = parseRetrievalFilters(req.body.filters);
+      } catch (error) {
+        return res.status(error.status || 400).json({ error: error.message });
+      }
+
+      const session = await sessionUtils.getOwnedSession(
+        sessionId,
+        req.user.id
+      );
+      if (!session) {
+        return res.status(404).json({ error: "Session not found" });
+      }
+
       // Set up Server-Sent Events
       res.writeHead(200, {
         "Content-Type": "text/event-stream",
@@ -126,154 +347,280 @@ class ChatController {
         "Access-Control-Allow-Headers": "Cache-Control",
       });
 
-      const userMessage = message.trim();
       logger.info("Processing streaming chat message", { sessionId });
 
-      // Get or create session
-      let session = await sessionUtils.getSession(sessionId);
-      if (!session) {
-        session = await sessionUtils.createSession(sessionId);
-      }
+      // Stop generating if the client disconnects mid-stream
+      const abortController = new AbortController();
+      res.on("close", () => {
+        if (!res.writableEnded) abortController.abort();
+      });
 
-      // Get conversation history
-      const conversationHistory = await sessionUtils.getMessages(sessionId);
+      await this.streamChat(
+        {
+          sessionId,
+          session,
+          message: message.trim(),
+          signal: abortController.signal,
+          llmService,
+          filters,
+          debug: req.body.debug === true,
+        },
+        (type, payload) => {
+          // The client may already be gone when a cancelled stream completes
+          if (res.destroyed) return;
+          res.write(`data: ${JSON.stringify({ type, ...payload })}\n\n`);
+        }
+      );
 
-      // Add user message to history
-      await sessionUtils.addMessage(sessionId, {
-        role: "user",
-        content: userMessage,
-      });
+      res.end();
+    } catch (error) {
+      logger.error("Error in sendMessageStream:", error);
 
-      // Send initial metadata
-      const metadata = {
-        sessionId,
-        timestamp: new Date().toISOString(),
-        type: "metadata",
-      };
-      res.write(`data: ${JSON.stringify(metadata)}\n\n`);
+      res.write(
+        `data: ${JSON.stringify({
+          type: "error",
+          error: "Failed to process message",
+        })}\n\n`
+      );
+      res.end();
+    }
+  }
 
-      // Check if query is news-related and get context
-      const isNewsRelated = await this.llmService.isNewsRelated(userMessage);
-      let retrievedDocuments = [];
+  /**
+   * Run the streaming chat pipeline independently of the transport
+   * Events: metadata, sources, content, complete
+   * @param {Object} params
+   * @param {string} params.sessionId
+   * @param {Object} params.session - From sessionUtils.getOwnedSession
+   * @param {string} params.message - Trimmed user message
+   * @param {AbortSignal} [params.signal] - Stops generation when aborted
+   * @param {LLMService} [params.llmService] - From resolveLLMService
+   * @param {Object} [params.filters] - From parseRetrievalFilters
+   * @param {boolean} [params.debug] - Add query rewriting details to the complete event
+   * @param {Function} emit - Called as emit(type, payload) for every event
+   * @returns {Promise<{response: string, sources: Array, citations: Array, coverage: string, aborted: boolean}>}
+   */
+  async streamChat(
+    {
+      sessionId,
+      session,
+      message,
+      signal,
+      llmService = this.llmService,
+      filters,
+      debug = false,
+    },
+    emit
+  ) {
+    // Get conversation history
+    const conversation = await this.loadConversation(sessionId, session);
+
+    // Add user message to history
+    await sessionUtils.addMessage(sessionId, {
+      role: "user",
+      content: message,
+    });
+
+    // Send initial metadata
+    emit("metadata", {
+      sessionId,
+      llm: { provider: llmService.provider.name, model: llmService.modelName },
+      timestamp: new Date().toISOString(),
+    });
+
+    // Resolve follow-ups, then check if query is news-related and get context
+    const query = await this.rewriteQuery(
+      message,
+      conversation.history,
+      llmService,
+      sessionId
+    );
+    const isNewsRelated = await llmService.isNewsRelated(query.rewritten);
+    let retrievedDocuments = [];
+
+    if (isNewsRelated) {
+      retrievedDocuments = await this.retrieveDocuments(
+        query.rewritten,
+        llmService,
+        filters
+      );
+    }
 
-      if (isNewsRelated) {
-        // Perform RAG retrieval
-        const queryEmbedding =
-          await this.embeddingsService.generateEmbeddingsWithRetry(userMessage);
-        retrievedDocuments = await vectorUtils.searchSimilar(queryEmbedding, 5);
-
-        // Send sources information
-        if (retrievedDocuments.length > 0) {
-          const sources = retrievedDocuments.map((doc) => ({
-            title: doc.metadata.title || "Untitled",
-            url: doc.metadata.url,
-            score: doc.score,
-          }));
-
-          res.write(
-            `data: ${JSON.stringify({
-              type: "sources",
-              sources,
-            })}\n\n`
-          );
-        }
-      }
+    const sources = llmService.formatSources(retrievedDocuments);
+    if (sources.length > 0) {
+      emit("sources", { sources });
+    }
 
-      // Generate streaming response
-      let fullResponse = "";
-      const responseGenerator = this.llmService.generateStreamingResponse(
-        userMessage,
+    let coverage = "not_applicable";
+    if (isNewsRelated) {
+      coverage = retrievedDocuments.length > 0 ? "found" : "none";
+    }
+
+    // Generate streaming response
+    let fullResponse = "";
+    let finish = {};
+
+    if (coverage === "none") {
+      // No relevant documents: say so rather than answer unsourced
+      fullResponse = llmService.noCoverageResponse({
+        filtered: Boolean(filters),
+      }).response;
+      emit("content", { content: fullResponse });
+    } else {
+      const responseGenerator = llmService.generateStreamingResponse(
+        message,
         retrievedDocuments,
-        conversationHistory
+        conversation.history,
+        {
+          summary: conversation.summary,
+          signal,
+          onFinish: (event) => {
+            finish = event;
+          },
+        }
       );
 
       for await (const chunk of responseGenerator) {
         fullResponse += chunk;
-        res.write(
-          `data: ${JSON.stringify({
-            type: "content",
-            content: chunk,
-          })}\n\n`
-        );
+        emit("content", { content: chunk });
       }
+    }
 
-      // Send completion signal
-      res.write(
-        `data: ${JSON.stringify({
-          type: "complete",
-          fullResponse,
-        })}\n\n`
-      );
+    // Streamed tokens are raw; the complete event carries the validated text
+    let citations = [];
+    if (retrievedDocuments.length > 0) {
+      ({ text: fullResponse, citations } = llmService.extractCitations(
+        fullResponse,
+        retrievedDocuments
+      ));
+    }
 
-      // Add assistant message to history
-      const sources = retrievedDocuments.map((doc) => ({
-        title: doc.metadata.title || "Untitled",
-        url: doc.metadata.url,
-        snippet: doc.metadata.chunk_text?.substring(0, 150) || "",
-        score: doc.score,
-      }));
+    const aborted = Boolean(signal?.aborted);
+    if (aborted) {
+      logger.info("Streaming aborted", { sessionId });
+    }
 
+    // Always end the stream, so listeners never stay in a streaming state;
+    // a cancelled generation completes with its partial response
+    emit("complete", {
+      fullResponse,
+      citations,
+      finishReason: aborted ? "ABORTED" : finish.finishReason || null,
+      aborted,
+      blocked: finish.blocked || false,
+      blockReason: finish.blockReason || null,
+      coverage,
+      ...(debug && { debug: { query } }),
+    });
+
+    // Add assistant message to history (partial if generation was aborted)
+    if (fullResponse) {
       await sessionUtils.addMessage(sessionId, {
         role: "assistant",
         content: fullResponse,
         sources,
+        citations,
+        coverage,
+        finishReason: aborted ? "ABORTED" : finish.finishReason || null,
+        prompt: finish.template || null,
       });
-
-      res.end();
-    } catch (error) {
-      logger.error("Error in sendMessageStream:", error);
-
-      res.write(
-        `data: ${JSON.stringify({
-          type: "error",
-          error: "Failed to process message",
-        })}\n\n`
+      this.updateSummary(
+        sessionId,
+        conversation,
+        [
+          { role: "user", content: message },
+          { role: "assistant", content: fullResponse },
+        ],
+        llmService,
+        finish.historyBudget
       );
-      res.end();
+      this.updateTitle(session, message, fullResponse, llmService);
     }
+
+    return { response: fullResponse, sources, citations, coverage, aborted };
+  }
+
+  /**
+   * Retrieve documents relevant to a query
+   * @param {string} query - Standalone question, see rewriteQuery
+   * @param {LLMService} [llmService]
+   * @param {Object} [filters] - From parseRetrievalFilters
+   * @returns {Promise<Array>} Results from HybridRetriever.retrieve
+   */
+  async retrieveDocuments(query, llmService = this.llmService, filters = null) {
+    // Expand query for better retrieval
+    const expandedQuery = await llmService.expandQuery(query);
+
+    // Vector and lexical search, fused by rank; over-fetch when reranking
+    const candidates = await this.retriever.retrieve(query, {
+      expandedQuery,
+      limit: this.reranker ? RERANK_CANDIDATES : TOP_K,
+      filter: toQdrantFilter(filters),
+    });
+
+    const retrievedDocuments = await rerankDocuments(
+      this.reranker,
+      query,
+      candidates,
+      TOP_K,
+      { minScore: this.retriever.cutoffs.rerankMinScore }
+    );
+
+    logger.info("RAG retrieval completed", {
+      documentsFound: retrievedDocuments.length,
+      filters,
+      mode: this.retriever.mode,
+      lexicalMatches: retrievedDocuments.filter(
+        (doc) => doc.scores.lexical !== null
+      ).length,
+      averageScore:
+        retrievedDocuments.length > 0
+          ? retrievedDocuments.reduce((sum, doc) => sum + doc.score, 0) /
+            retrievedDocuments.length
+          : 0,
+    });
+
+    return retrievedDocuments;
   }
 
   /**
    * Process query using RAG pipeline
    * @param {string} query
-   * @param {Array} conversationHistory
-   * @returns {Promise<{response: string, sources: Array}>}
+   * @param {{history: Array, summary: string}} conversation - From loadConversation
+   * @param {LLMService} [llmService]
+   * @param {Object} [filters] - From parseRetrievalFilters
+   * @param {string} [retrievalQuery] - Standalone rewrite of `query` used for search
+   * @returns {Promise<{response: string, sources: Array, citations?: Array, coverage: string}>}
    */
-  async processRAGQuery(query, conversationHistory = []) {
+  async processRAGQuery(
+    query,
+    { history = [], summary = "" } = {},
+    llmService = this.llmService,
+    filters = null,
+    retrievalQuery = query
+  ) {
     try {
-      // Expand query for better retrieval
-      const expandedQuery = await this.llmService.expandQuery(query);
-      const searchQuery = `${query} ${expandedQuery}`.trim();
-
-      // Generate embedding for the search query
-      const queryEmbedding =
-        await this.embeddingsService.generateEmbeddingsWithRetry(searchQuery);
-
-      // Retrieve similar documents
-      const retrievedDocuments = await vectorUtils.searchSimilar(
-        queryEmbedding,
-        5
+      const retrievedDocuments = await this.retrieveDocuments(
+        retrievalQuery,
+        llmService,
+        filters
       );
 
-      logger.info("RAG retrieval completed", {
-        documentsFound: retrievedDocuments.length,
-        averageScore:
-          retrievedDocuments.length > 0
-            ? retrievedDocuments.reduce((sum, doc) => sum + doc.score, 0) /
-              retrievedDocuments.length
-            : 0,
-      });
-
       // Generate response using LLM with retrieved context
       if (retrievedDocuments.length > 0) {
-        return await this.llmService.generateRAGResponseWithRetry(
-          query,
-          retrievedDocuments,
-          conversationHistory
-        );
+        return {
+          ...(await llmService.generateRAGResponseWithRetry(
+            query,
+            retrievedDocuments,
+            history,
+            { summary }
+          )),
+          coverage: "found",
+        };
       } else {
-        // No relevant documents found
-        return await this.llmService.generateFallbackResponse(query);
+        // No relevant documents found: say so rather than answer unsourced
+        logger.info("No relevant coverage found", { filters });
+        return llmService.noCoverageResponse({ filtered: Boolean(filters) });
       }
     } catch (error) {
       logger.error("Error in RAG processing:", error);
@@ -295,7 +642,10 @@ class ChatController {
         return res.status(400).json({ error: "Session ID is required" });
       }
 
-      const session = await sessionUtils.getSession(sessionId);
+      const session = await sessionUtils.getOwnedSession(
+        sessionId,
+        req.user.id
+      );
       if (!session) {
         return res.status(404).json({ error: "Session not found" });
       }
@@ -336,6 +686,10 @@ class ChatController {
         return res.status(400).json({ error: "Session ID is required" });
       }
 
+      if (!(await sessionUtils.getOwnedSession(sessionId, req.user.id))) {
+        return res.status(404).json({ error: "Session not found" });
+      }
+
       await sessionUtils.deleteSession(sessionId);
 
       res.json({
@@ -362,7 +716,9 @@ class ChatController {
   async createSession(req, res) {
     try {
       const sessionId = uuidv4();
-      const session = await sessionUtils.createSession(sessionId);
+      const session = await sessionUtils.createSession(sessionId, {
+        ownerId: req.user.id,
+      });
 
       res.json({
         sessionId,
@@ -394,7 +750,10 @@ class ChatController {
         return res.status(400).json({ error: "Session ID is required" });
       }
 
-      const session = await sessionUtils.getSession(sessionId);
+      const session = await sessionUtils.getOwnedSession(
+        sessionId,
+        req.user.id
+      );
       if (!session) {
         return res.status(404).json({ error: "Session not found" });
       }
@@ -416,4 +775,4 @@ class ChatController {
   }
 }
 
-module.exports = new ChatController();
\ No newline at end of file
+module.exports = new ChatController();
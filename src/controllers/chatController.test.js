@@ -0,0 +1,90 @@
+process.env.LLM_PROVIDER = "mock";
+process.env.EMBEDDING_PROVIDER = "local";
+
+const mockSessionUtils = {
+  getOwnedSession: jest.fn(),
+  getMessages: jest.fn(async () => []),
+  addMessage: jest.fn(async () => {}),
+  updateSession: jest.fn(async () => {}),
+  setTitleIfMissing: jest.fn(async () => true),
+};
+jest.mock("../config/database", () => ({
+  sessionUtils: mockSessionUtils,
+  vectorUtils: {},
+}));
+
+const chatController = require("./chatController");
+
+const SESSION = { id: "s1", ownerId: "u1", title: "Rates" };
+const DOCUMENTS = [1, 2].map((n) => ({
+  id: `doc-${n}`,
+  score: 0.9,
+  scores: { vector: 0.9, lexical: null, fused: 0.9 },
+  metadata: { title: `Article ${n}`, url: `https://example.com/${n}` },
+}));
+
+describe("ChatController citations", () => {
+  beforeAll(() => {
+    chatController.llmService.provider.rules = [
+      {
+        task: "answer",
+        response: "Rates rose [1] [7]. Prices fell [2, 2].",
+      },
+    ];
+    chatController.retrieveDocuments = jest.fn(async () => DOCUMENTS);
+  });
+
+  beforeEach(() => {
+    mockSessionUtils.getOwnedSession.mockResolvedValue(SESSION);
+    mockSessionUtils.addMessage.mockClear();
+  });
+
+  const validated = "Rates rose [1]. Prices fell [2].";
+
+  test("sends validated text and citations in the JSON response", async () => {
+    const res = { status: jest.fn(() => res), json: jest.fn() };
+
+    await chatController.sendMessage(
+      {
+        body: { message: "What happened to rates?", sessionId: "s1" },
+        user: { id: "u1" },
+      },
+      res
+    );
+
+    const body = res.json.mock.calls[0][0];
+    expect(body.message).toBe(validated);
+    expect(body.citations.map((c) => c.source)).toEqual([1, 2]);
+    expect(body.sources).toHaveLength(2);
+    expect(mockSessionUtils.addMessage).toHaveBeenLastCalledWith(
+      "s1",
+      expect.objectContaining({ role: "assistant", content: validated })
+    );
+  });
+
+  test("streams raw tokens and completes with the validated text", async () => {
+    const events = [];
+
+    await chatController.streamChat(
+      { sessionId: "s1", session: SESSION, message: "What happened to rates?" },
+      (type, payload) => events.push({ type, ...payload })
+    );
+
+    const streamed = events
+      .filter((event) => event.type === "content")
+      .map((event) => event.content)
+      .join("");
+    expect(streamed).toBe("Rates rose [1] [7]. Prices fell [2, 2].");
+
+    const complete = events.find((event) => event.type === "complete");
+    expect(complete).toMatchObject({
+      fullResponse: validated,
+      coverage: "found",
+      aborted: false,
+    });
+    expect(complete.citations).toEqual([
+      expect.objectContaining({ source: 1, start: 11, end: 14 }),
+      expect.objectContaining({ source: 2, start: 28, end: 31 }),
+    ]);
+  });
+});
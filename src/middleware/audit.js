@@ -0,0 +1,43 @@
+// src/middleware/audit.js
+const { auditLog } = require("../services/auditLog");
+const logger = require("../utils/logger");
+
+const outcomeFor = (status) => {
+  if (status === 401 || status === 403) return "denied";
+  return status < 400 ? "success" : "failure";
+};
+
+/**
+ * Record the request in the audit log once the response is sent
+ *
+ * The target is `res.locals.auditTarget` when a handler sets one (e.g. the ID
+ * of a job it started), otherwise `req.params.id`.
+ * @param {string} action - e.g. `source.update`
+ * @returns {Function} Middleware
+ */
+function audit(action) {
+  return (req, res, next) => {
+    const startedAt = Date.now();
+
+    res.on("finish", () => {
+      auditLog
+        .record({
+          actor: req.user,
+          action,
+          method: req.method,
+          path: req.originalUrl,
+          target: res.locals.auditTarget ?? req.params.id ?? null,
+          status: res.statusCode,
+          outcome: outcomeFor(res.statusCode),
+          durationMs: Date.now() - startedAt,
+          ip: req.ip,
+        })
+        .catch((error) => {
+          logger.error(`Failed to audit ${action}: ${error.message}`);
+        });
+    });
+    next();
+  };
+}
+
+module.exports = { audit };
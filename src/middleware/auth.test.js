@@ -0,0 +1,134 @@
+const express = require("express");
+const request = require("supertest");
+
+const mockKeys = new Map();
+jest.mock("../config/database", () => ({
+  redis: {
+    hset: async (_key, id, value) => mockKeys.set(id, value),
+    hget: async (_key, id) => mockKeys.get(id) || null,
+    hdel: async (_key, id) => (mockKeys.delete(id) ? 1 : 0),
+  },
+}));
+jest.mock("../services/auditLog", () => ({
+  auditLog: { record: jest.fn(async () => ({})) },
+}));
+
+const {
+  authenticateCredential,
+  authenticate,
+  requireAdmin,
+} = require("./auth");
+const { apiKeys } = require("../services/apiKeys");
+const { auditLog } = require("../services/auditLog");
+const { signJwt } = require("../utils/jwt");
+
+const SECRET = "test-secret";
+
+describe("authenticateCredential", () => {
+  beforeEach(() => {
+    mockKeys.clear();
+    process.env.AUTH_JWT_SECRET = SECRET;
+  });
+
+  afterAll(() => {
+    delete process.env.AUTH_JWT_SECRET;
+  });
+
+  test("resolves a JWT to its subject and role", async () => {
+    const user = await authenticateCredential(
+      signJwt({ sub: 42, role: "admin" }, SECRET)
+    );
+
+    expect(user).toEqual({ id: "42", role: "admin", via: "jwt" });
+  });
+
+  test("refuses JWTs when no secret is configured", async () => {
+    delete process.env.AUTH_JWT_SECRET;
+
+    await expect(
+      authenticateCredential(signJwt({ sub: "u1" }, SECRET))
+    ).rejects.toMatchObject({ status: 401 });
+  });
+
+  test("resolves a valid API key", async () => {
+    const { key, record } = await apiKeys.create({ userId: "u1" });
+
+    expect(await authenticateCredential(key)).toEqual({
+      id: "u1",
+      role: "user",
+      via: "api_key",
+      keyId: record.id,
+    });
+  });
+
+  test("rejects unknown and revoked API keys", async () => {
+    const { key, record } = await apiKeys.create({ userId: "u1" });
+    const [, id] = key.split("_");
+    const forged = `rk_${id}_${"x".repeat(32)}`;
+
+    await expect(authenticateCredential(forged)).rejects.toMatchObject({
+      status: 401,
+      message: "Invalid API key",
+    });
+    await expect(
+      authenticateCredential(`rk_000000000000_${"x".repeat(32)}`)
+    ).rejects.toMatchObject({ status: 401 });
+
+    await apiKeys.revoke(record.id);
+    await expect(authenticateCredential(key)).rejects.toMatchObject({
+      status: 401,
+      message: "Invalid API key",
+    });
+  });
+});
+
+describe("requireAdmin", () => {
+  const app = express();
+  app.get("/me", authenticate, (req, res) => res.json(req.user));
+  app.get("/admin", requireAdmin, (req, res) => res.json({ ok: true }));
+
+  beforeAll(() => {
+    process.env.AUTH_JWT_SECRET = SECRET;
+  });
+
+  afterAll(() => {
+    delete process.env.AUTH_JWT_SECRET;
+  });
+
+  const bearer = (claims) => `Bearer ${signJwt(claims, SECRET)}`;
+
+  test("requires credentials", async () => {
+    const res = await request(app).get("/admin");
+
+    expect(res.status).toBe(401);
+    expect(res.headers["www-authenticate"]).toBe("Bearer");
+  });
+
+  test("refuses users without the admin role and audits it", async () => {
+    const res = await request(app)
+      .get("/admin")
+      .set("Authorization", bearer({ sub: "u1" }));
+
+    expect(res.status).toBe(403);
+    expect(auditLog.record).toHaveBeenCalledWith(
+      expect.objectContaining({ outcome: "denied", status: 403 })
+    );
+  });
+
+  test("admits admins", async () => {
+    const res = await request(app)
+      .get("/admin")
+      .set("Authorization", bearer({ sub: "u1", role: "admin" }));
+
+    expect(res.status).toBe(200);
+  });
+
+  test("rejects invalid tokens with 401", async () => {
+    const res = await request(app)
+      .get("/me")
+      .set("Authorization", `Bearer ${signJwt({ sub: "u1" }, "wrong")}`);
+
+    expect(res.status).toBe(401);
+    expect(res.body.error).toBe("Invalid token signature");
+  });
+});
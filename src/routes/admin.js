@@ -0,0 +1,47 @@
+// src/routes/admin.js
+const express = require("express");
+const { auditLog } = require("../services/auditLog");
+const { requireAdmin } = require("../middleware/auth");
+const logger = require("../utils/logger");
+
+const router = express.Router();
+
+const MAX_PAGE_SIZE = 200;
+
+router.use(requireAdmin);
+
+/**
+ * GET /api/admin/audit
+ * Admin actions, newest first
+ *
+ * Filters: `actor`, `action` (exact, or a prefix ending in `.`), `outcome`,
+ * `since`; paging: `offset`, `limit`
+ */
+router.get("/audit", async (req, res) => {
+  const { actor, action, outcome, since } = req.query;
+  const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+  const limit = Math.min(
+    Math.max(parseInt(req.query.limit) || 50, 1),
+    MAX_PAGE_SIZE
+  );
+
+  try {
+    const { entries, total } = await auditLog.query({
+      actor,
+      action,
+      outcome,
+      since,
+      offset,
+      limit,
+    });
+    res.json({ entries, total, offset, limit });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    logger.error("Error reading audit log:", error);
+    res.status(500).json({ error: "Failed to read audit log" });
+  }
+});
+
+module.exports = router;
@@ -1,16 +1,11 @@
 // src/routes/chat.js
 const express = require("express");
 const rateLimit = require("express-rate-limit");
-const LLMService = require("../services/llmService");
-const { vectorUtils } = require("../config/database");
-const fetch = require("node-fetch");
-const logger = require("../utils/logger");
+const chatController = require("../controllers/chatController");
+const { authenticate } = require("../middleware/auth");
 
 const router = express.Router();
 
-// Initialize LLM service
-const llmService = new LLMService();
-
 // Rate limiting
 const chatRateLimit = rateLimit({
   windowMs: 1 * 60 * 1000,
@@ -18,62 +13,40 @@ const chatRateLimit = rateLimit({
   message: { error: "Too many chat requests, slow down.", retryAfter: 60 },
 });
 
-// Generate embeddings helper
-async function generateEmbedding(text) {
-  try {
-    const response = await fetch("https://api.jina.ai/v1/embeddings", {
-      method: "POST",
-      headers: {
-        "Content-Type": "application/json",
-        Authorization: `Bearer ${process.env.JINA_API_KEY}`,
-      },
-      body: JSON.stringify({
-        input: text,
-        model: "jina-embeddings-v2-base-en",
-      }),
-    });
-    if (!response.ok) throw new Error(`Jina API error: ${response.status}`);
-    const data = await response.json();
-    return data.data[0].embedding;
-  } catch (err) {
-    logger.error(`Error generating embedding: ${err.message}`);
-    return null;
-  }
-}
-
 // POST /api/chat/message
-router.post("/message", chatRateLimit, async (req, res) => {
-  const { message } = req.body;
-  if (!message) return res.status(400).json({ error: "Message is required" });
-
-  try {
-    const queryEmbedding = await generateEmbedding(message);
-    if (!queryEmbedding)
-      return res.status(500).json({ error: "Failed to generate embedding" });
-
-    const relevantArticles = await vectorUtils.searchSimilar(queryEmbedding, 3);
-
-    const aiResponse = await llmService.generateResponse(
-      message,
-      relevantArticles
-    );
-
-    res.json({
-      response: aiResponse,
-      sources: relevantArticles.map((a) => ({
-        title: a.metadata.title,
-        link: a.metadata.link,
-        score: a.score,
-      })),
-      timestamp: new Date().toISOString(),
-    });
-  } catch (error) {
-    logger.error("Error sending message:", error);
-    res.status(500).json({ error: "Failed to process message" });
-  }
-});
-
-// Health endpoint
+router.post("/message", authenticate, chatRateLimit, (req, res) =>
+  chatController.sendMessage(req, res)
+);
+
+// POST /api/chat/stream (Server-Sent Events)
+router.post(
+  ["/stream", "/message/stream"],
+  authenticate,
+  chatRateLimit,
+  (req, res) => chatController.sendMessageStream(req, res)
+);
+
+// GET /api/chat/history/:sessionId
+router.get("/history/:sessionId", authenticate, (req, res) =>
+  chatController.getChatHistory(req, res)
+);
+
+// DELETE /api/chat/history/:sessionId
+router.delete("/history/:sessionId", authenticate, (req, res) =>
+  chatController.clearChatHistory(req, res)
+);
+
+// POST /api/chat/session
+router.post("/session", authenticate, (req, res) =>
+  chatController.createSession(req, res)
+);
+
+// GET /api/chat/session/:sessionId
+router.get("/session/:sessionId", authenticate, (req, res) =>
+  chatController.getSession(req, res)
+);
+
+// Health endpoint (public)
 router.get("/health", (req, res) => {
   res.json({ status: "healthy", timestamp: new Date().toISOString() });
 });
@@ -0,0 +1,41 @@
+// src/routes/ingest.js
+const express = require("express");
+const { ingestionRunner } = require("../services/ingestionJobs");
+const { requireAdmin } = require("../middleware/auth");
+const logger = require("../utils/logger");
+
+const router = express.Router();
+
+router.use(requireAdmin);
+
+/**
+ * GET /api/ingest/jobs
+ * Recent ingestion jobs, newest first
+ */
+router.get("/jobs", async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 20, 50);
+    const jobs = await ingestionRunner.listJobs(limit);
+    res.json({ jobs, count: jobs.length });
+  } catch (error) {
+    logger.error("Error listing ingestion jobs:", error);
+    res.status(500).json({ error: "Failed to list ingestion jobs" });
+  }
+});
+
+/**
+ * GET /api/ingest/jobs/:id
+ * Job status with fetched / embedded / skipped / failed counts
+ */
+router.get("/jobs/:id", async (req, res) => {
+  try {
+    const job = await ingestionRunner.getJob(req.params.id);
+    if (!job) return res.status(404).json({ error: "Job not found" });
+    res.json(job);
+  } catch (error) {
+    logger.error("Error getting ingestion job:", error);
+    res.status(500).json({ error: "Failed to retrieve ingestion job" });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,46 @@
+// src/routes/me.js
+const express = require("express");
+const { sessionUtils } = require("../config/database");
+const { authenticate } = require("../middleware/auth");
+const logger = require("../utils/logger");
+
+const router = express.Router();
+
+const MAX_PAGE_SIZE = 100;
+
+router.use(authenticate);
+
+/**
+ * GET /api/me
+ * The authenticated caller
+ */
+router.get("/", (req, res) => {
+  const { id, role, via } = req.user;
+  res.json({ id, role, via });
+});
+
+/**
+ * GET /api/me/sessions?offset=0&limit=20&archived=false
+ * The caller's sessions: pinned first, then by last activity
+ */
+router.get("/sessions", async (req, res) => {
+  const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+  const limit = Math.min(
+    Math.max(parseInt(req.query.limit) || 20, 1),
+    MAX_PAGE_SIZE
+  );
+  const archived = req.query.archived === "true";
+
+  try {
+    const { sessions, total } = await sessionUtils.listSessionsForOwner(
+      req.user.id,
+      { offset, limit, archived }
+    );
+    res.json({ sessions, total, offset, limit, archived });
+  } catch (error) {
+    logger.error("Error listing sessions:", error);
+    res.status(500).json({ error: "Failed to list sessions" });
+  }
+});
+
+module.exports = router;
@@ -1,7 +1,14 @@
 // src/routes/sessions.js
 const express = require("express");
 const rateLimit = require("express-rate-limit");
+const { v4: uuidv4 } = require("uuid");
 const { sessionUtils, vectorUtils } = require("../config/database");
+const { getEmbeddingProvider } = require("../services/embeddingProviders");
+const { getLLMProvider } = require("../services/llmProviders");
+const { sourceRegistry } = require("../services/sourceRegistry");
+const { ingestionRunner } = require("../services/ingestionJobs");
+const { authenticate, requireAdmin } = require("../middleware/auth");
+const { audit } = require("../middleware/audit");
 const logger = require("../utils/logger");
 
 const router = express.Router();
@@ -16,22 +23,67 @@ const adminRateLimit = rateLimit({
   },
 });
 
-// Initialize news ingestion service - TEMPORARILY DISABLED
-// const newsIngestionService = new NewsIngestionService();
+// Rate limited before authentication, so guessed credentials are throttled too
+const adminAction = (action) => [adminRateLimit, requireAdmin, audit(action)];
 
 /**
  * GET /api/sessions/stats
- * Get system statistics
+ * Live vector store, ingestion and session statistics
+ *
+ * Each section is gathered independently; one that fails reports `error`
+ * instead of failing the whole response.
  */
-router.get("/stats", async (req, res) => {
+router.get("/stats", requireAdmin, async (req, res) => {
+  const section = (promise) =>
+    promise.catch((error) => {
+      logger.error("Error getting system stats section:", error);
+      return { error: error.message };
+    });
+
+  const articlesBySource = async () => {
+    const sources = await sourceRegistry.list();
+    const [total, ...counts] = await Promise.all([
+      vectorUtils.countArticles(),
+      ...sources.map((source) =>
+        vectorUtils.countArticles({
+          must: [{ key: "source", match: { value: source.id } }],
+        })
+      ),
+    ]);
+
+    const bySource = Object.fromEntries(
+      sources.map((source, i) => [source.id, counts[i]])
+    );
+    const attributed = counts.reduce((sum, count) => sum + count, 0);
+    // Articles from deleted sources or ingested before the registry existed
+    if (total > attributed) bySource.other = total - attributed;
+
+    return { total, bySource };
+  };
+
   try {
+    const [collection, articles, dateRange, lastRun, sessions] =
+      await Promise.all([
+        section(vectorUtils.getCollectionStats()),
+        section(articlesBySource()),
+        section(vectorUtils.getArticleDateRange()),
+        section(ingestionRunner.getLastRun()),
+        section(sessionUtils.countSessions()),
+      ]);
+
     res.json({
-      ingestion: { status: "manual", message: "Using manual ingestion script" },
-      vector_store: {
-        total_points: "Check Qdrant directly",
-        status: "active",
-        vectors_count: "50+ articles ingested",
+      ingestion: {
+        status: ingestionRunner.schedulerRunning ? "scheduled" : "manual",
+        lastRun,
+      },
+      vector_store: collection,
+      articles: {
+        ...articles,
+        oldest: dateRange.oldest ?? null,
+        newest: dateRange.newest ?? null,
+        ...(dateRange.error && { dateRangeError: dateRange.error }),
       },
+      sessions: typeof sessions === "number" ? { total: sessions } : sessions,
       timestamp: new Date().toISOString(),
     });
   } catch (error) {
@@ -44,14 +96,41 @@ router.get("/stats", async (req, res) => {
 
 /**
  * POST /api/sessions/ingest
- * Manually trigger news ingestion - DISABLED (use script instead)
+ * Start an on-demand ingestion job: `{sources?: string[], limit?: number, force?: boolean}`
+ * Progress is reported at GET /api/ingest/jobs/:id
  */
-router.post("/ingest", adminRateLimit, async (req, res) => {
-  res.json({
-    message: "Manual ingestion disabled. Use 'npm run ingest' script instead.",
-    script_command: "npm run ingest",
-    timestamp: new Date().toISOString(),
-  });
+router.post("/ingest", adminAction("ingest.start"), async (req, res) => {
+  try {
+    const { sources, limit, force } = req.body || {};
+    if (
+      sources !== undefined &&
+      !(Array.isArray(sources) && sources.every((id) => typeof id === "string"))
+    ) {
+      return res.status(400).json({ error: "sources must be an array of IDs" });
+    }
+
+    const job = await ingestionRunner.start({
+      sourceIds: sources,
+      limit: Math.min(Math.max(parseInt(limit) || 50, 1), 500),
+      force: force === true,
+      trigger: "manual",
+    });
+    res.locals.auditTarget = job.id;
+
+    res.status(202).json({
+      jobId: job.id,
+      status: job.status,
+      sources: job.sources,
+      statusUrl: `/api/ingest/jobs/${job.id}`,
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    logger.error("Error starting ingestion:", error);
+    res.status(500).json({ error: "Failed to start ingestion" });
+  }
 });
 
 /**
@@ -80,12 +159,20 @@ router.get("/health", async (req, res) => {
     health.status = "degraded";
   }
 
-  health.services.jina_api = process.env.JINA_API_KEY
-    ? "configured"
-    : "not_configured";
-  health.services.gemini_api = process.env.GEMINI_API_KEY
-    ? "configured"
-    : "not_configured";
+  try {
+    const provider = getEmbeddingProvider();
+    health.services.embeddings = `${provider.name}:${provider.model}`;
+  } catch {
+    health.services.embeddings = "not_configured";
+    health.status = "degraded";
+  }
+  try {
+    const provider = getLLMProvider();
+    health.services.llm = `${provider.name}:${provider.model}`;
+  } catch {
+    health.services.llm = "not_configured";
+    health.status = "degraded";
+  }
 
   const statusCode = health.status === "healthy" ? 200 : 503;
   res.status(statusCode).json(health);
@@ -95,7 +182,7 @@ router.get("/health", async (req, res) => {
  * DELETE /api/sessions/cache
  * Clear various caches - SIMPLIFIED
  */
-router.delete("/cache", adminRateLimit, async (req, res) => {
+router.delete("/cache", adminAction("cache.clear"), async (req, res) => {
   try {
     res.json({
       message: "Cache clearing disabled - using external ingestion script",
@@ -111,18 +198,21 @@ router.delete("/cache", adminRateLimit, async (req, res) => {
 
 /**
  * GET /api/sessions/sources
- * Get configured news sources
+ * Get enabled news sources from the source registry
  */
-router.get("/sources", (req, res) => {
+router.get("/sources", requireAdmin, async (req, res) => {
   try {
-    const sources = [
-      "http://feeds.bbci.co.uk/news/rss.xml",
-      "https://feeds.npr.org/1004/rss.xml",
-      "https://www.theguardian.com/world/rss",
-    ];
+    const sources = await sourceRegistry.listEnabled();
 
     res.json({
-      sources,
+      sources: sources.map(({ id, type, url, label, category, language }) => ({
+        id,
+        type,
+        url,
+        label,
+        category,
+        language,
+      })),
       count: sources.length,
       timestamp: new Date().toISOString(),
     });
@@ -145,11 +235,15 @@ router.get("/sources", (req, res) => {
  * Fetch chat messages for a session
  */
 
-router.get("/chat/history/:sessionId", async (req, res) => {
+router.get("/chat/history/:sessionId", authenticate, async (req, res) => {
   try {
     const { sessionId } = req.params;
     const limit = parseInt(req.query.limit) || 50;
 
+    if (!(await sessionUtils.getOwnedSession(sessionId, req.user.id))) {
+      return res.status(404).json({ message: "No chat history found" });
+    }
+
     const messages = await sessionUtils.getMessages(sessionId, limit);
     if (!messages || messages.length === 0) {
       return res.status(404).json({ message: "No chat history found" });
@@ -166,13 +260,17 @@ router.get("/chat/history/:sessionId", async (req, res) => {
  * POST /api/chat/message
  * Add a message to a session
  */
-router.post("/chat/message", async (req, res) => {
+router.post("/chat/message", authenticate, async (req, res) => {
   try {
     const { sessionId, message } = req.body;
     if (!sessionId || !message) {
       return res.status(400).json({ error: "sessionId and message required" });
     }
 
+    if (!(await sessionUtils.getOwnedSession(sessionId, req.user.id))) {
+      return res.status(404).json({ error: "Session not found" });
+    }
+
     await sessionUtils.addMessage(sessionId, message);
     res.json({ status: "success", timestamp: new Date().toISOString() });
   } catch (error) {
@@ -182,14 +280,165 @@ router.post("/chat/message", async (req, res) => {
 });
 
 /**
- * POST /api/chat/session
- * Create a new chat session
+ * ==========================
+ * SESSION MANAGEMENT
+ * ==========================
+ */
+
+const MAX_PAGE_SIZE = 100;
+const MAX_TITLE_LENGTH = 120;
+const MAX_BULK_DELETE = 100;
+
+/**
+ * GET /api/sessions?offset=0&limit=20&archived=false
+ * The caller's sessions: pinned first, then by last activity
  */
-// NEW: POST /api/sessions
-router.post("/", async (req, res) => {
+router.get("/", authenticate, async (req, res) => {
+  const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+  const limit = Math.min(
+    Math.max(parseInt(req.query.limit) || 20, 1),
+    MAX_PAGE_SIZE
+  );
+  const archived = req.query.archived === "true";
+
   try {
-    const sessionId = req.body.sessionId || `sess_${Date.now()}`;
-    const session = await sessionUtils.createSession(sessionId);
+    const { sessions, total } = await sessionUtils.listSessionsForOwner(
+      req.user.id,
+      { offset, limit, archived }
+    );
+    res.json({ sessions, total, offset, limit, archived });
+  } catch (error) {
+    logger.error("Error listing sessions:", error);
+    res.status(500).json({ error: "Failed to list sessions" });
+  }
+});
+
+/**
+ * GET /api/sessions/search?q=...&limit=20
+ * Sessions whose title or messages contain every word of `q`
+ */
+router.get("/search", authenticate, async (req, res) => {
+  const query = typeof req.query.q === "string" ? req.query.q.trim() : "";
+  if (!query) return res.status(400).json({ error: "q is required" });
+  const limit = Math.min(
+    Math.max(parseInt(req.query.limit) || 20, 1),
+    MAX_PAGE_SIZE
+  );
+
+  try {
+    const results = await sessionUtils.searchSessions(req.user.id, query, {
+      limit,
+    });
+    res.json({ query, results, count: results.length });
+  } catch (error) {
+    logger.error("Error searching sessions:", error);
+    res.status(500).json({ error: "Failed to search sessions" });
+  }
+});
+
+/**
+ * PATCH /api/sessions/:id
+ * Rename, pin or archive: `{title?: string, pinned?: boolean, archived?: boolean}`
+ */
+router.patch("/:id", authenticate, async (req, res) => {
+  const { title, pinned, archived } = req.body || {};
+  const problems = [];
+  if (
+    title !== undefined &&
+    (typeof title !== "string" ||
+      !title.trim() ||
+      title.trim().length > MAX_TITLE_LENGTH)
+  ) {
+    problems.push(
+      `title must be a non-empty string of at most ${MAX_TITLE_LENGTH} characters`
+    );
+  }
+  if (pinned !== undefined && typeof pinned !== "boolean") {
+    problems.push("pinned must be a boolean");
+  }
+  if (archived !== undefined && typeof archived !== "boolean") {
+    problems.push("archived must be a boolean");
+  }
+  if (problems.length > 0) {
+    return res.status(400).json({ error: "Invalid update", details: problems });
+  }
+
+  const changes = {
+    ...(title !== undefined && { title: title.trim() }),
+    ...(pinned !== undefined && { pinned }),
+    ...(archived !== undefined && { archived }),
+  };
+  if (Object.keys(changes).length === 0) {
+    return res
+      .status(400)
+      .json({ error: "Nothing to update: send title, pinned or archived" });
+  }
+
+  try {
+    const session = await sessionUtils.getOwnedSession(
+      req.params.id,
+      req.user.id
+    );
+    if (!session) return res.status(404).json({ error: "Session not found" });
+
+    res.json(await sessionUtils.patchSession(session, changes));
+  } catch (error) {
+    if (error.status === 404) {
+      return res.status(404).json({ error: error.message });
+    }
+    logger.error("Error updating session:", error);
+    res.status(500).json({ error: "Failed to update session" });
+  }
+});
+
+/**
+ * POST /api/sessions/bulk-delete
+ * Delete several of the caller's sessions: `{ids: string[]}`
+ * IDs that are unknown or belong to someone else are reported as not found.
+ */
+router.post("/bulk-delete", authenticate, async (req, res) => {
+  const { ids } = req.body || {};
+  if (
+    !Array.isArray(ids) ||
+    ids.length === 0 ||
+    ids.length > MAX_BULK_DELETE ||
+    !ids.every((id) => typeof id === "string")
+  ) {
+    return res.status(400).json({
+      error: `ids must be an array of 1 to ${MAX_BULK_DELETE} session IDs`,
+    });
+  }
+
+  try {
+    const unique = [...new Set(ids)];
+    const owned = await Promise.all(
+      unique.map((id) => sessionUtils.getOwnedSession(id, req.user.id))
+    );
+    const deleted = unique.filter((id, i) => owned[i]);
+    await Promise.all(deleted.map((id) => sessionUtils.deleteSession(id)));
+
+    logger.info(`Deleted ${deleted.length} sessions`, { userId: req.user.id });
+    res.json({
+      deleted,
+      notFound: unique.filter((id, i) => !owned[i]),
+    });
+  } catch (error) {
+    logger.error("Error deleting sessions:", error);
+    res.status(500).json({ error: "Failed to delete sessions" });
+  }
+});
+
+/**
+ * POST /api/sessions
+ * Create a session owned by the caller
+ *
+ * IDs are always generated, so a caller cannot claim an existing session.
+ */
+router.post("/", authenticate, async (req, res) => {
+  try {
+    const session = await sessionUtils.createSession(uuidv4(), {
+      ownerId: req.user.id,
+    });
     res.json(session);
   } catch (error) {
     logger.error("Error creating chat session:", error);
@@ -197,5 +446,4 @@ router.post("/", async (req, res) => {
   }
 });
 
-
 module.exports = router;
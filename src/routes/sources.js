@@ -0,0 +1,107 @@
+// src/routes/sources.js
+const express = require("express");
+const rateLimit = require("express-rate-limit");
+const { sourceRegistry } = require("../services/sourceRegistry");
+const { requireAdmin } = require("../middleware/auth");
+const { audit } = require("../middleware/audit");
+const logger = require("../utils/logger");
+
+const router = express.Router();
+
+// Rate limiting for registry writes
+const adminRateLimit = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 30,
+  message: {
+    error: "Too many admin requests, please try again later.",
+    retryAfter: 900,
+  },
+});
+
+// Rate limited before authentication, so guessed credentials are throttled too
+const adminWrite = (action) => [adminRateLimit, requireAdmin, audit(action)];
+
+// Registry errors carry an HTTP status; anything else is a server error
+const sendError = (res, error, fallbackMessage) => {
+  if (error.status) {
+    return res
+      .status(error.status)
+      .json({ error: error.message, details: error.details });
+  }
+  logger.error(`${fallbackMessage}:`, error);
+  res.status(500).json({ error: fallbackMessage });
+};
+
+/**
+ * GET /api/sources
+ * List registered news sources (`?enabled=true|false` to filter)
+ */
+router.get("/", requireAdmin, async (req, res) => {
+  try {
+    const { enabled } = req.query;
+    const sources = await sourceRegistry.list({
+      enabled: enabled === undefined ? undefined : enabled === "true",
+    });
+    res.json({ sources, count: sources.length });
+  } catch (error) {
+    sendError(res, error, "Failed to retrieve news sources");
+  }
+});
+
+/**
+ * GET /api/sources/:id
+ */
+router.get("/:id", requireAdmin, async (req, res) => {
+  try {
+    const source = await sourceRegistry.get(req.params.id);
+    if (!source) return res.status(404).json({ error: "Source not found" });
+    res.json(source);
+  } catch (error) {
+    sendError(res, error, "Failed to retrieve news source");
+  }
+});
+
+/**
+ * POST /api/sources
+ * Register a source: `{type, url, label, id?, category?, language?, enabled?, fetchIntervalMinutes?}`
+ */
+router.post("/", adminWrite("source.create"), async (req, res) => {
+  try {
+    const source = await sourceRegistry.create(req.body || {});
+    res.locals.auditTarget = source.id;
+    logger.info(`Registered news source ${source.id} (${source.url})`);
+    res.status(201).json(source);
+  } catch (error) {
+    sendError(res, error, "Failed to create news source");
+  }
+});
+
+/**
+ * PATCH /api/sources/:id
+ * Update any of the editable fields, e.g. `{enabled: false}`
+ */
+router.patch("/:id", adminWrite("source.update"), async (req, res) => {
+  try {
+    const source = await sourceRegistry.update(req.params.id, req.body || {});
+    logger.info(`Updated news source ${source.id}`);
+    res.json(source);
+  } catch (error) {
+    sendError(res, error, "Failed to update news source");
+  }
+});
+
+/**
+ * DELETE /api/sources/:id
+ * Already-indexed articles from the source stay in the vector store
+ */
+router.delete("/:id", adminWrite("source.delete"), async (req, res) => {
+  try {
+    await sourceRegistry.remove(req.params.id);
+    logger.info(`Removed news source ${req.params.id}`);
+    res.status(204).end();
+  } catch (error) {
+    sendError(res, error, "Failed to delete news source");
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,86 @@
+// src/scripts/auth.js
+// Usage:
+//   node src/scripts/auth.js create-key <userId> [name] [--admin]
+//   node src/scripts/auth.js list-keys [userId]
+//   node src/scripts/auth.js revoke-key <keyId>
+//   node src/scripts/auth.js token <userId> [role] [expiresInSeconds]
+require("dotenv").config();
+const { initializeRedis } = require("../config/database");
+const { apiKeys } = require("../services/apiKeys");
+const { signJwt } = require("../utils/jwt");
+
+const USAGE = `Usage:
+  npm run auth -- create-key <userId> [name] [--admin]
+  npm run auth -- list-keys [userId]
+  npm run auth -- revoke-key <keyId>
+  npm run auth -- token <userId> [role] [expiresInSeconds]`;
+
+const fail = (message) => {
+  console.error(message);
+  process.exit(1);
+};
+
+async function run() {
+  const argv = process.argv.slice(2);
+  const admin = argv.includes("--admin");
+  const [command, ...args] = argv.filter((arg) => arg !== "--admin");
+
+  switch (command) {
+    case "create-key": {
+      const [userId, name] = args;
+      if (!userId) fail(USAGE);
+      await initializeRedis();
+      const { key, record } = await apiKeys.create({
+        userId,
+        name,
+        role: admin ? "admin" : "user",
+      });
+      console.log(JSON.stringify(record, null, 2));
+      // The plaintext key cannot be recovered later
+      console.log(`\nAPI key (shown once): ${key}`);
+      break;
+    }
+    case "list-keys": {
+      await initializeRedis();
+      console.log(JSON.stringify(await apiKeys.list(args[0]), null, 2));
+      break;
+    }
+    case "revoke-key": {
+      if (!args[0]) fail(USAGE);
+      await initializeRedis();
+      if (!(await apiKeys.revoke(args[0]))) fail(`No API key ${args[0]}`);
+      console.log(`Revoked API key ${args[0]}`);
+      break;
+    }
+    case "token": {
+      // For development; production tokens come from the identity provider
+      const [userId, role, expiresIn = "3600"] = args;
+      if (!userId) fail(USAGE);
+      if (!process.env.AUTH_JWT_SECRET) fail("AUTH_JWT_SECRET is not set");
+      const claims = {
+        sub: userId,
+        ...(role && { role }),
+        ...(process.env.AUTH_JWT_ISSUER && {
+          iss: process.env.AUTH_JWT_ISSUER,
+        }),
+        ...(process.env.AUTH_JWT_AUDIENCE && {
+          aud: process.env.AUTH_JWT_AUDIENCE,
+        }),
+      };
+      console.log(
+        signJwt(claims, process.env.AUTH_JWT_SECRET, {
+          expiresInSeconds: parseInt(expiresIn),
+        })
+      );
+      break;
+    }
+    default:
+      fail(USAGE);
+  }
+  process.exit(0);
+}
+
+run().catch((err) => {
+  console.error("Command failed:", err.message);
+  process.exit(1);
+});
@@ -0,0 +1,63 @@
+require("dotenv").config();
+const logger = require("../utils/logger");
+const database = require("../config/database");
+const { initializeServices, vectorUtils } = database;
+const LexicalIndex = require("../services/lexicalIndex");
+
+// Usage: node src/scripts/buildLexicalIndex.js [--reset]
+// Indexes every chunk already in Qdrant, e.g. after upgrading to hybrid retrieval
+const reset = process.argv.includes("--reset");
+
+async function deleteLexicalKeys(redis) {
+  let cursor = "0";
+  let deleted = 0;
+  do {
+    const [next, keys] = await redis.scan(
+      cursor,
+      "MATCH",
+      "bm25:*",
+      "COUNT",
+      1000
+    );
+    cursor = next;
+    if (keys.length) deleted += await redis.del(...keys);
+  } while (cursor !== "0");
+  return deleted;
+}
+
+async function run() {
+  try {
+    await initializeServices();
+
+    if (reset) {
+      const deleted = await deleteLexicalKeys(database.redis);
+      logger.info(`Deleted ${deleted} lexical index keys`);
+    }
+
+    const index = new LexicalIndex();
+    let indexed = 0;
+
+    for await (const points of vectorUtils.scrollAll()) {
+      const docs = points
+        .filter((point) => point.metadata?.chunk_text)
+        .map((point) => ({
+          id: String(point.id),
+          text: point.metadata.title
+            ? `${point.metadata.title}. ${point.metadata.chunk_text}`
+            : point.metadata.chunk_text,
+        }));
+
+      await index.addDocuments(docs);
+      indexed += docs.length;
+      logger.info(`Indexed ${indexed} chunks`);
+    }
+
+    logger.info(`✅ Lexical index built for ${indexed} chunks`);
+    process.exit(0);
+  } catch (err) {
+    logger.error("Error building lexical index:", err);
+    process.exit(1);
+  }
+}
+
+run();
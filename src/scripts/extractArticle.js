@@ -0,0 +1,34 @@
+// src/scripts/extractArticle.js
+// Usage: node src/scripts/extractArticle.js <url> [saved-page.html]
+require("dotenv").config();
+const fs = require("fs");
+const { extractArticle, fetchHtml } = require("../services/articleExtractor");
+
+async function run() {
+  const [url, htmlFile] = process.argv.slice(2);
+  if (!url) {
+    console.error(
+      "Usage: node src/scripts/extractArticle.js <url> [file.html]"
+    );
+    process.exit(1);
+  }
+
+  // A saved page lets extraction rules be tuned offline against a fixture
+  const html = htmlFile
+    ? fs.readFileSync(htmlFile, "utf8")
+    : await fetchHtml(url);
+
+  const article = extractArticle(html, url);
+  console.log(
+    JSON.stringify(
+      { ...article, contentLength: article.content.length },
+      null,
+      2
+    )
+  );
+}
+
+run().catch((err) => {
+  console.error("Extraction failed:", err.message);
+  process.exit(1);
+});
@@ -1,40 +1,21 @@
 require("dotenv").config();
 const logger = require("../utils/logger");
-const { initializeServices, vectorUtils } = require("../config/database");
-const { fetchNewsArticles } = require("../services/newsIngestion");
-const fetch = require("node-fetch");
-
-const COLLECTION_NAME = "news_embeddings";
-
-// --- Helper: generate embeddings using Jina API ---
-async function generateEmbedding(text) {
-  try {
-    const response = await fetch("https://api.jina.ai/v1/embeddings", {
-      method: "POST",
-      headers: {
-        "Content-Type": "application/json",
-        Authorization: `Bearer ${process.env.JINA_API_KEY}`,
-      },
-      body: JSON.stringify({
-        input: text,
-        model: "jina-embeddings-v2-base-en", // free tier model
-      }),
-    });
-
-    if (!response.ok) {
-      throw new Error(`Jina API error: ${response.status}`);
-    }
-
-    const data = await response.json();
-    return data.data[0].embedding;
-  } catch (err) {
-    logger.error(`Error generating embedding: ${err.message}`);
-    return null;
-  }
-}
+const database = require("../config/database");
+const { initializeServices, vectorUtils } = database;
+const { ingestionRunner } = require("../services/ingestionJobs");
+
+// Usage: node src/scripts/ingestNews.js [limit] [--force] [--purge-legacy] [--source=<id>...]
+const args = process.argv.slice(2);
+const limit = parseInt(args.find((arg) => /^\d+$/.test(arg))) || 50;
+const force = args.includes("--force");
+const purgeLegacy = args.includes("--purge-legacy");
+const sourceIds = args
+  .filter((arg) => arg.startsWith("--source="))
+  .map((arg) => arg.slice("--source=".length));
 
 // --- Main ingestion script ---
 async function run() {
+  let exitCode = 1;
   try {
     logger.info("=== Starting news ingestion script ===");
 
@@ -42,63 +23,35 @@ async function run() {
     await initializeServices();
     logger.info("Services initialized successfully");
 
-    // Step 2: fetch news articles (~50 minimum)
-    const articles = await fetchNewsArticles(50);
-    logger.info(`Fetched ${articles.length} articles`);
-
-    if (articles.length === 0) {
-      logger.error("No articles found, aborting ingestion.");
-      return;
+    if (purgeLegacy) {
+      // Points from before content-addressed IDs are duplicates of re-ingested articles
+      await vectorUtils.deleteLegacyPoints();
+      logger.info("Deleted legacy points without article_id");
     }
 
-    // Step 3: process each article → embed → store in Qdrant
-    let successCount = 0;
-
-    for (let i = 0; i < articles.length; i++) {
-      const article = articles[i];
-      if (!article.content) continue;
-
-      logger.info(
-        `Processing article ${i + 1}/${
-          articles.length
-        }: ${article.title?.substring(0, 50)}...`
-      );
-
-      const embedding = await generateEmbedding(article.content);
-      if (!embedding) {
-        logger.warn(`Skipping article ${i + 1}: No embedding generated`);
-        continue;
-      }
-
-      try {
-        // Use numeric ID instead of string with underscore
-        const numericId = Date.now() + i; // This ensures unique numeric IDs
-
-        await vectorUtils.addEmbedding(numericId, embedding, {
-          title: article.title || "Untitled",
-          link: article.link || "",
-          content: article.content.substring(0, 1000), // Limit content length
-          source: "news_ingestion",
-          timestamp: new Date().toISOString(),
-        });
-
-        successCount++;
-        logger.info(
-          `✅ Successfully added embedding ${successCount}/${articles.length}`
-        );
-      } catch (err) {
-        logger.error(
-          `Failed to add embedding for article ${i + 1}: ${err.message}`
-        );
-      }
-    }
+    // Step 2: fetch → chunk → embed → store, through the same runner as the server
+    const job = await ingestionRunner.run({
+      sourceIds: sourceIds.length ? sourceIds : undefined,
+      limit,
+      force,
+      trigger: "cli",
+    });
 
-    // Step 4: Summary
-    logger.info("=== Ingestion Finished ===");
-    logger.info(`✅ Articles fetched: ${articles.length}`);
-    logger.info(`✅ Embeddings stored in Qdrant: ${successCount}`);
+    // Step 3: Summary
+    logger.info(`=== Ingestion ${job.status} (job ${job.id}) ===`);
+    if (job.error) logger.error(`Error: ${job.error}`);
+    logger.info(`✅ Articles fetched: ${job.fetched}`);
+    logger.info(`✅ Articles stored in Qdrant: ${job.embedded}`);
+    logger.info(`✅ Articles unchanged (not re-embedded): ${job.skipped}`);
+    logger.info(`❌ Articles failed: ${job.failed}`);
+    logger.info(`✅ Chunks stored in Qdrant: ${job.chunks}`);
+    if (job.status === "completed") exitCode = 0;
   } catch (err) {
     logger.error("Error running ingestion:", err);
+  } finally {
+    // Open Redis connections would otherwise keep the process alive
+    await database.redis?.quit().catch(() => {});
+    process.exit(exitCode);
   }
 }
 
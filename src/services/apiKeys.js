@@ -0,0 +1,91 @@
+// src/services/apiKeys.js
+const crypto = require("crypto");
+const database = require("../config/database");
+
+const KEYS_KEY = "api_keys";
+const ROLES = ["user", "admin"];
+// rk_<id>_<secret>: the id locates the record, only the secret's hash is stored
+const KEY_PATTERN = /^rk_([0-9a-f]{12})_([\w-]{32,})$/;
+
+const hashSecret = (secret) =>
+  crypto.createHash("sha256").update(secret).digest("hex");
+
+/**
+ * API keys persisted in a Redis hash (id → JSON with the secret's SHA-256)
+ */
+const apiKeys = {
+  get redis() {
+    return database.redis;
+  },
+
+  /**
+   * Issue a key; the plaintext is returned once and never stored
+   * @param {Object} params
+   * @param {string} params.userId
+   * @param {string} [params.name] - Label to tell keys apart
+   * @param {string} [params.role] - `user` or `admin`
+   * @returns {Promise<{key: string, record: Object}>}
+   */
+  async create({ userId, name = "", role = "user" }) {
+    if (!userId) throw new Error("userId is required");
+    if (!ROLES.includes(role)) {
+      throw new Error(`role must be one of: ${ROLES.join(", ")}`);
+    }
+
+    const id = crypto.randomBytes(6).toString("hex");
+    const secret = crypto.randomBytes(24).toString("base64url");
+    const record = {
+      id,
+      userId: String(userId),
+      name,
+      role,
+      hash: hashSecret(secret),
+      createdAt: new Date().toISOString(),
+    };
+
+    await this.redis.hset(KEYS_KEY, id, JSON.stringify(record));
+    return { key: `rk_${id}_${secret}`, record: this.toPublic(record) };
+  },
+
+  /**
+   * @param {string} key - Plaintext key from a request
+   * @returns {Promise<Object|null>} The key's record without its hash
+   */
+  async verify(key) {
+    const match = KEY_PATTERN.exec(String(key));
+    if (!match) return null;
+
+    const raw = await this.redis.hget(KEYS_KEY, match[1]);
+    if (!raw) return null;
+    const record = JSON.parse(raw);
+
+    const expected = Buffer.from(record.hash, "hex");
+    const actual = Buffer.from(hashSecret(match[2]), "hex");
+    return crypto.timingSafeEqual(actual, expected)
+      ? this.toPublic(record)
+      : null;
+  },
+
+  async list(userId) {
+    const raw = await this.redis.hvals(KEYS_KEY);
+    return raw
+      .map((value) => JSON.parse(value))
+      .filter((record) => !userId || record.userId === String(userId))
+      .map((record) => this.toPublic(record))
+      .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+  },
+
+  /**
+   * @param {string} id
+   * @returns {Promise<boolean>} Whether a key was revoked
+   */
+  async revoke(id) {
+    return (await this.redis.hdel(KEYS_KEY, id)) > 0;
+  },
+
+  toPublic({ hash: _hash, ...record }) {
+    return record;
+  },
+};
+
+module.exports = { apiKeys, ROLES };
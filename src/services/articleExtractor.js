@@ -0,0 +1,308 @@
+// src/services/articleExtractor.js
+const cheerio = require("cheerio");
+const fetch = require("node-fetch");
+const { getSiteRules } = require("../config/extractionRules");
+const logger = require("../utils/logger");
+
+// Elements that never hold article text
+const BOILERPLATE_SELECTORS = [
+  "script",
+  "style",
+  "noscript",
+  "template",
+  "svg",
+  "iframe",
+  "form",
+  "button",
+  "nav",
+  "header",
+  "footer",
+  "aside",
+  "[role='navigation']",
+  "[role='banner']",
+  "[role='contentinfo']",
+  "[role='complementary']",
+  "[aria-hidden='true']",
+  "[class*='advert']",
+  "[class*='ad-slot']",
+  "[id*='advert']",
+  "[class*='newsletter']",
+  "[class*='cookie']",
+  "[class*='share']",
+  "[class*='social']",
+  "[class*='related']",
+  "[class*='comment']",
+  "[id*='comment']",
+];
+
+const POSITIVE_HINTS = /article|body|content|entry|main|post|story|text/i;
+const NEGATIVE_HINTS =
+  /comment|footer|sidebar|promo|related|share|social|nav|menu|advert|sponsor|subscribe|newsletter/i;
+
+// Extractions shorter than this are treated as failures
+const MIN_CONTENT_LENGTH = 200;
+
+const normalizeWhitespace = (text) => text.replace(/\s+/g, " ").trim();
+
+/**
+ * NewsArticle/Article objects from JSON-LD blocks
+ * @param {cheerio.CheerioAPI} $
+ * @returns {Object|null}
+ */
+function findJsonLdArticle($) {
+  const candidates = [];
+
+  $("script[type='application/ld+json']").each((_, el) => {
+    try {
+      const data = JSON.parse($(el).contents().text());
+      const items = Array.isArray(data) ? data : data["@graph"] || [data];
+      candidates.push(...items);
+    } catch {
+      // Malformed JSON-LD is common; ignore it
+    }
+  });
+
+  return (
+    candidates.find((item) => {
+      const type = [].concat(item?.["@type"] || []);
+      return type.some((t) => /Article|NewsArticle|Report/.test(t));
+    }) || null
+  );
+}
+
+/**
+ * Text of all elements matching a selector, one paragraph per element
+ * @param {cheerio.CheerioAPI} $
+ * @param {string} selector
+ * @returns {string}
+ */
+function textFromSelector($, selector) {
+  return $(selector)
+    .map((_, el) => normalizeWhitespace($(el).text()))
+    .get()
+    .filter(Boolean)
+    .join("\n\n");
+}
+
+/**
+ * Readability-style body detection: score the parents of paragraphs by text
+ * length and commas, adjust by class/id hints and link density, and take the
+ * paragraphs of the best candidate
+ * @param {cheerio.CheerioAPI} $
+ * @returns {string}
+ */
+function scoreMainContent($) {
+  const scores = new Map();
+
+  $("p").each((_, p) => {
+    const text = normalizeWhitespace($(p).text());
+    if (text.length < 25) return;
+
+    const score =
+      1 + text.split(",").length + Math.min(Math.floor(text.length / 100), 3);
+
+    const parent = $(p).parent().get(0);
+    const grandparent = $(p).parent().parent().get(0);
+    if (parent) scores.set(parent, (scores.get(parent) || 0) + score);
+    if (grandparent) {
+      scores.set(grandparent, (scores.get(grandparent) || 0) + score / 2);
+    }
+  });
+
+  let best = null;
+  let bestScore = 0;
+
+  for (const [el, baseScore] of scores) {
+    const $el = $(el);
+    const hints = `${$el.attr("class") || ""} ${$el.attr("id") || ""}`;
+    let score = baseScore;
+    if (POSITIVE_HINTS.test(hints)) score += 25;
+    if (NEGATIVE_HINTS.test(hints)) score -= 25;
+
+    const textLength = normalizeWhitespace($el.text()).length || 1;
+    const linkLength = normalizeWhitespace($el.find("a").text()).length;
+    score *= 1 - linkLength / textLength;
+
+    if (score > bestScore) {
+      best = el;
+      bestScore = score;
+    }
+  }
+
+  if (!best) return "";
+
+  return $(best)
+    .find("p, h2, h3, blockquote, li")
+    .filter((_, el) => {
+      // Skip nested matches (e.g. <p> inside <blockquote>) to avoid duplicates
+      return $(el).parents("p, blockquote, li").length === 0;
+    })
+    .map((_, el) => normalizeWhitespace($(el).text()))
+    .get()
+    .filter((text) => text.length > 0)
+    .join("\n\n");
+}
+
+function firstMeta($, selectors) {
+  for (const selector of selectors) {
+    const value = $(selector).first().attr("content");
+    if (value) return value.trim();
+  }
+  return null;
+}
+
+function toIsoDate(value) {
+  if (!value) return null;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+function absoluteUrl(value, baseUrl) {
+  if (!value) return null;
+  try {
+    return new URL(value, baseUrl).toString();
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Extract the main body and metadata from an article page
+ * @param {string} html
+ * @param {string} url - Page URL, used for site rules and resolving links
+ * @param {Object} [rules] - Site rules; looked up from the URL by default
+ * @returns {{title: string|null, content: string, byline: string|null, publishedAt: string|null, image: string|null}}
+ */
+function extractArticle(html, url, rules = getSiteRules(url)) {
+  const $ = cheerio.load(html);
+  const jsonLd = findJsonLdArticle($);
+
+  // Metadata is read before boilerplate removal strips <header> and friends
+  const title =
+    firstMeta($, ["meta[property='og:title']", "meta[name='twitter:title']"]) ||
+    jsonLd?.headline ||
+    normalizeWhitespace($("h1").first().text()) ||
+    null;
+
+  const jsonLdAuthor = [].concat(jsonLd?.author || [])[0];
+  const byline =
+    (rules.byline && normalizeWhitespace($(rules.byline).first().text())) ||
+    firstMeta($, ["meta[name='author']", "meta[property='article:author']"]) ||
+    (typeof jsonLdAuthor === "string" ? jsonLdAuthor : jsonLdAuthor?.name) ||
+    normalizeWhitespace($("[rel='author']").first().text()) ||
+    null;
+
+  const dateElement = rules.date ? $(rules.date).first() : null;
+  const publishedAt = toIsoDate(
+    dateElement?.attr("datetime") ||
+      dateElement?.text() ||
+      firstMeta($, [
+        "meta[property='article:published_time']",
+        "meta[name='pubdate']",
+        "meta[itemprop='datePublished']",
+      ]) ||
+      jsonLd?.datePublished ||
+      $("time[datetime]").first().attr("datetime")
+  );
+
+  const jsonLdImage = [].concat(jsonLd?.image || [])[0];
+  const image = absoluteUrl(
+    (rules.image && $(rules.image).first().attr("src")) ||
+      firstMeta($, [
+        "meta[property='og:image']",
+        "meta[name='twitter:image']",
+      ]) ||
+      (typeof jsonLdImage === "string" ? jsonLdImage : jsonLdImage?.url),
+    url
+  );
+
+  $([...BOILERPLATE_SELECTORS, ...(rules.remove || [])].join(", ")).remove();
+
+  let content = rules.content ? textFromSelector($, rules.content) : "";
+  if (content.length < MIN_CONTENT_LENGTH) {
+    content = scoreMainContent($);
+  }
+  if (content.length < MIN_CONTENT_LENGTH && jsonLd?.articleBody) {
+    content = String(jsonLd.articleBody).trim();
+  }
+
+  return { title, content, byline, publishedAt, image };
+}
+
+/**
+ * Download a page as HTML
+ * @param {string} url
+ * @param {Object} [options]
+ * @param {number} [options.timeoutMs]
+ * @returns {Promise<string>}
+ */
+async function fetchHtml(url, { timeoutMs = 15000 } = {}) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeoutMs);
+
+  try {
+    const res = await fetch(url, {
+      headers: {
+        "User-Agent": "Mozilla/5.0 (compatible; RAGNewsBot/1.0)",
+        Accept: "text/html,application/xhtml+xml",
+      },
+      signal: controller.signal,
+    });
+
+    if (!res.ok) throw new Error(`HTTP ${res.status}`);
+
+    const contentType = res.headers.get("content-type") || "";
+    if (!contentType.includes("html")) {
+      throw new Error(`Unexpected content type: ${contentType}`);
+    }
+
+    return await res.text();
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Replace an article's feed snippet with the full text from its page,
+ * keeping the snippet when extraction fails or finds less text
+ * @param {Object} article - `{title, link, content}` from a feed
+ * @param {Object} [options]
+ * @param {Function} [options.fetchHtml] - `(url) => Promise<string>`; swap in to read saved fixtures
+ * @returns {Promise<Object>} Article with `extraction: "full" | "snippet"`
+ */
+async function enrichArticle(article, options = {}) {
+  const loadHtml = options.fetchHtml || fetchHtml;
+  const snippet = article.content || "";
+
+  try {
+    const extracted = extractArticle(
+      await loadHtml(article.link),
+      article.link
+    );
+
+    if (
+      extracted.content.length < MIN_CONTENT_LENGTH ||
+      extracted.content.length <= snippet.length
+    ) {
+      throw new Error("Extracted body too short");
+    }
+
+    return {
+      ...article,
+      title: article.title || extracted.title,
+      content: extracted.content,
+      snippet,
+      byline: extracted.byline,
+      publishedAt: article.publishedAt || extracted.publishedAt,
+      image: extracted.image,
+      extraction: "full",
+    };
+  } catch (err) {
+    logger.debug(
+      `Full-text extraction failed for ${article.link}: ${err.message}`
+    );
+    return { ...article, snippet, extraction: "snippet" };
+  }
+}
+
+module.exports = { extractArticle, fetchHtml, enrichArticle };
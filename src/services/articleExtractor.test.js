@@ -0,0 +1,93 @@
+const fs = require("fs");
+const path = require("path");
+const { extractArticle, enrichArticle } = require("./articleExtractor");
+
+const FIXTURES = path.join(__dirname, "__fixtures__", "articles");
+const fixture = (name) =>
+  fs.readFileSync(path.join(FIXTURES, `${name}.html`), "utf8");
+
+describe("extractArticle", () => {
+  test("uses site rules and drops removed blocks", () => {
+    const article = extractArticle(
+      fixture("bbc-article"),
+      "https://www.bbc.co.uk/news/uk-1"
+    );
+
+    expect(article).toMatchObject({
+      title: "Rivers reach record levels after storm",
+      byline: "Jane Rivers",
+      publishedAt: "2024-03-14T08:30:00.000Z",
+      image: "https://www.bbc.co.uk/news/images/flooded-river.jpg",
+    });
+    expect(article.content.split("\n\n")).toHaveLength(3);
+    expect(article.content).toMatch(/^Several rivers/);
+    expect(article.content).not.toMatch(/Related:|Copyright|Home/);
+  });
+
+  test("scores the main content without site rules", () => {
+    const article = extractArticle(
+      fixture("generic-article"),
+      "https://example.com/local/lanes"
+    );
+
+    expect(article).toMatchObject({
+      title: "City council approves new cycle lanes",
+      byline: "Sam Okafor",
+      publishedAt: "2024-05-02T12:00:00.000Z",
+      image: "https://example.com/img/lanes.png",
+    });
+    expect(article.content).toMatch(/^The city council voted/);
+    expect(article.content).toContain("biggest change to our streets");
+    expect(article.content).not.toMatch(/newsletter|Great news/);
+  });
+
+  test("falls back to the JSON-LD article body", () => {
+    const article = extractArticle(
+      fixture("json-ld-body"),
+      "https://example.com/markets"
+    );
+
+    expect(article).toMatchObject({
+      title: "Markets close higher",
+      byline: "Lee Chen",
+      publishedAt: "2024-06-10T00:00:00.000Z",
+      image: null,
+    });
+    expect(article.content).toMatch(/^Stock markets closed higher/);
+  });
+});
+
+describe("enrichArticle", () => {
+  const feedItem = {
+    title: "Rivers reach record levels",
+    link: "https://www.bbc.co.uk/news/uk-1",
+    content: "Rivers rose overnight.",
+  };
+
+  test("replaces the feed snippet with the extracted text", async () => {
+    const article = await enrichArticle(feedItem, {
+      fetchHtml: async () => fixture("bbc-article"),
+    });
+
+    expect(article).toMatchObject({
+      title: "Rivers reach record levels",
+      snippet: "Rivers rose overnight.",
+      byline: "Jane Rivers",
+      extraction: "full",
+    });
+    expect(article.content).toMatch(/^Several rivers/);
+  });
+
+  test("keeps the snippet when the page cannot be loaded", async () => {
+    const article = await enrichArticle(feedItem, {
+      fetchHtml: async () => {
+        throw new Error("HTTP 503");
+      },
+    });
+
+    expect(article).toMatchObject({
+      content: "Rivers rose overnight.",
+      extraction: "snippet",
+    });
+  });
+});
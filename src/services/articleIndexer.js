@@ -0,0 +1,184 @@
+// src/services/articleIndexer.js
+const { vectorUtils } = require("../config/database");
+const EmbeddingsService = require("./embeddings");
+const LexicalIndex = require("./lexicalIndex");
+const {
+  canonicalizeUrl,
+  articleIdFor,
+  chunkPointId,
+  contentHash,
+} = require("../utils/ids");
+const logger = require("../utils/logger");
+
+const domainOf = (url) => {
+  try {
+    return new URL(url).hostname;
+  } catch {
+    return null;
+  }
+};
+
+class ArticleIndexer {
+  /**
+   * @param {Object} [options]
+   * @param {EmbeddingsService} [options.embeddingsService]
+   * @param {Object} [options.chunkOptions] - `maxTokens` / `overlapTokens` for chunkText
+   * @param {LexicalIndex} [options.lexicalIndex]
+   */
+  constructor({ embeddingsService, chunkOptions = {}, lexicalIndex } = {}) {
+    this.embeddingsService = embeddingsService || new EmbeddingsService();
+    this.chunkOptions = chunkOptions;
+    this.lexicalIndex = lexicalIndex || new LexicalIndex();
+  }
+
+  /**
+   * Embedding model identifier stored with each point; a change forces re-embedding
+   * @returns {string}
+   */
+  get embeddingModel() {
+    const { provider } = this.embeddingsService;
+    return `${provider.name}:${provider.model}:${provider.dimension}`;
+  }
+
+  /**
+   * Stable identifier shared by every chunk of an article
+   * @param {Object} article
+   * @returns {string}
+   */
+  getArticleId(article) {
+    return articleIdFor(canonicalizeUrl(article.link || article.title || ""));
+  }
+
+  /**
+   * Payload of the article's first chunk, if it has been indexed before
+   * @param {string} articleId
+   * @returns {Promise<Object|null>}
+   */
+  async getIndexedArticle(articleId) {
+    const [point] = await vectorUtils.getPoints([chunkPointId(articleId, 0)]);
+    return point ? point.metadata : null;
+  }
+
+  /**
+   * Chunk, embed and upsert one article as one Qdrant point per chunk
+   *
+   * Point IDs derive from the canonical URL and chunk index, so re-ingesting
+   * overwrites instead of duplicating. Articles whose content hash and
+   * embedding model match the stored copy are skipped without embedding.
+   * @param {Object} article - `{title, link, content, byline, publishedAt, image, source}` from fetchNewsArticles
+   * @param {Object} [options]
+   * @param {boolean} [options.force] - Re-embed even when unchanged
+   * @returns {Promise<{articleId: string, status: string, chunks: number, stored: number}>}
+   */
+  async indexArticle(article, { force = false } = {}) {
+    const canonicalUrl = canonicalizeUrl(article.link || "");
+    const articleId = this.getArticleId(article);
+    const hash = contentHash(article);
+
+    const existing = await this.getIndexedArticle(articleId);
+    const unchanged =
+      existing?.content_hash === hash &&
+      existing?.embedding_model === this.embeddingModel;
+    // A transient extraction failure should not replace full text with a teaser
+    const downgrade =
+      existing?.extraction === "full" && article.extraction === "snippet";
+
+    if (!force && existing && (unchanged || downgrade)) {
+      logger.debug(
+        `${
+          unchanged ? "Article unchanged" : "Keeping stored full text"
+        }, skipping ${canonicalUrl}`
+      );
+      return {
+        articleId,
+        status: "skipped",
+        chunks: existing.chunk_count,
+        stored: 0,
+      };
+    }
+
+    const { chunks } = this.embeddingsService.chunkForEmbedding(
+      article.content,
+      this.chunkOptions
+    );
+
+    if (chunks.length === 0) {
+      logger.warn(`No indexable content for article ${articleId}`);
+      return { articleId, status: "empty", chunks: 0, stored: 0 };
+    }
+
+    // Prefix the title so chunks deep in an article still match on its subject
+    const texts = chunks.map((chunk) =>
+      article.title ? `${article.title}. ${chunk.text}` : chunk.text
+    );
+    const embeddings = await this.embeddingsService.batchGenerateEmbeddings(
+      texts,
+      16,
+      this.embeddingsService.provider.requestDelayMs
+    );
+
+    if (embeddings.some((embedding) => !embedding)) {
+      // A partial article would be skipped as "unchanged" next run, so store nothing
+      throw new Error(
+        `Embedding failed for ${embeddings.filter((e) => !e).length}/${
+          chunks.length
+        } chunks`
+      );
+    }
+
+    const ingestedAt = new Date().toISOString();
+    const points = chunks.map((chunk, i) => ({
+      id: chunkPointId(articleId, chunk.index),
+      vector: embeddings[i],
+      payload: {
+        article_id: articleId,
+        chunk_index: chunk.index,
+        chunk_count: chunks.length,
+        chunk_text: chunk.text,
+        chunk_start: chunk.start,
+        chunk_end: chunk.end,
+        content_hash: hash,
+        embedding_model: this.embeddingModel,
+        title: article.title || "Untitled",
+        url: canonicalUrl,
+        link: article.link || "",
+        byline: article.byline || null,
+        published_at: article.publishedAt || null,
+        image_url: article.image || null,
+        extraction: article.extraction || "snippet",
+        source: article.source?.id || "news_ingestion",
+        source_label: article.source?.label || null,
+        category: article.source?.category || null,
+        language: article.source?.language || null,
+        domain: domainOf(canonicalUrl),
+        timestamp: ingestedAt,
+      },
+    }));
+
+    // Lexical first: hits without a Qdrant point are dropped at query time
+    await this.lexicalIndex.addDocuments(
+      points.map((point, i) => ({ id: point.id, text: texts[i] }))
+    );
+    await vectorUtils.addEmbeddings(points);
+
+    // The article may have shrunk since it was last indexed
+    const previousCount = existing?.chunk_count || 0;
+    if (previousCount > chunks.length) {
+      const staleIds = [];
+      for (let i = chunks.length; i < previousCount; i++) {
+        staleIds.push(chunkPointId(articleId, i));
+      }
+      await vectorUtils.deletePoints(staleIds);
+      await this.lexicalIndex.removeDocuments(staleIds);
+    }
+
+    return {
+      articleId,
+      status: existing ? "updated" : "indexed",
+      chunks: chunks.length,
+      stored: points.length,
+    };
+  }
+}
+
+module.exports = ArticleIndexer;
@@ -0,0 +1,106 @@
+// src/services/auditLog.js
+const crypto = require("crypto");
+const database = require("../config/database");
+const logger = require("../utils/logger");
+
+const AUDIT_KEY = "audit_log";
+const OUTCOMES = ["success", "failure", "denied"];
+
+const maxEntries = () => parseInt(process.env.AUDIT_LOG_MAX_ENTRIES) || 10000;
+
+/**
+ * Admin actions in a capped Redis list, newest first
+ *
+ * Entry: {id, at, actor: {id, role, via, keyId?}, action, method, path,
+ * target, status, outcome, durationMs, ip}
+ */
+const auditLog = {
+  get redis() {
+    return database.redis;
+  },
+
+  /**
+   * @param {Object} entry - `actor`, `action` and `outcome` at least
+   * @returns {Promise<Object>} The stored entry
+   */
+  async record(entry) {
+    const stored = {
+      id: crypto.randomUUID(),
+      at: new Date().toISOString(),
+      target: null,
+      ...entry,
+    };
+    logger.info(`Audit: ${stored.action} ${stored.outcome}`, {
+      actor: stored.actor?.id,
+      target: stored.target,
+      status: stored.status,
+    });
+
+    await this.redis
+      .multi()
+      .lpush(AUDIT_KEY, JSON.stringify(stored))
+      .ltrim(AUDIT_KEY, 0, maxEntries() - 1)
+      .exec();
+    return stored;
+  },
+
+  /**
+   * Entries matching every given filter, newest first
+   * @param {Object} [query]
+   * @param {string} [query.actor] - User ID
+   * @param {string} [query.action] - Exact action, or a prefix ending in `.`, e.g. `source.`
+   * @param {string} [query.outcome] - success, failure or denied
+   * @param {string} [query.since] - ISO date
+   * @param {number} [query.offset]
+   * @param {number} [query.limit]
+   * @returns {Promise<{entries: Array, total: number}>} `total` counts matches
+   */
+  async query({ actor, action, outcome, since, offset = 0, limit = 50 } = {}) {
+    // Repeated query parameters arrive as arrays
+    for (const [name, value] of Object.entries({
+      actor,
+      action,
+      outcome,
+      since,
+    })) {
+      if (value !== undefined && typeof value !== "string") {
+        const error = new Error(`${name} must be a single string`);
+        error.status = 400;
+        throw error;
+      }
+    }
+
+    const sinceMs = since ? Date.parse(since) : null;
+    if (Number.isNaN(sinceMs)) {
+      const error = new Error("since must be an ISO date");
+      error.status = 400;
+      throw error;
+    }
+    if (outcome && !OUTCOMES.includes(outcome)) {
+      const error = new Error(`outcome must be one of: ${OUTCOMES.join(", ")}`);
+      error.status = 400;
+      throw error;
+    }
+
+    const matchesAction = (value) =>
+      action.endsWith(".") ? value.startsWith(action) : value === action;
+
+    // The list is capped, so filtering it in full stays cheap
+    const matches = (await this.redis.lrange(AUDIT_KEY, 0, -1))
+      .map((raw) => JSON.parse(raw))
+      .filter(
+        (entry) =>
+          (!actor || entry.actor?.id === actor) &&
+          (!action || matchesAction(entry.action)) &&
+          (!outcome || entry.outcome === outcome) &&
+          (sinceMs === null || Date.parse(entry.at) >= sinceMs)
+      );
+
+    return {
+      entries: matches.slice(offset, offset + limit),
+      total: matches.length,
+    };
+  },
+};
+
+module.exports = { auditLog, OUTCOMES };
@@ -0,0 +1,27 @@
+jest.mock("../config/database", () => ({
+  redis: {
+    lrange: jest.fn(async () =>
+      [
+        { action: "source.create", actor: { id: "u1" }, outcome: "success" },
+        { action: "ingest.run", actor: { id: "u2" }, outcome: "failure" },
+      ].map((entry) => JSON.stringify(entry))
+    ),
+  },
+}));
+
+const { auditLog } = require("./auditLog");
+
+describe("auditLog.query", () => {
+  test("filters by exact action or prefix", async () => {
+    expect((await auditLog.query({ action: "source." })).total).toBe(1);
+    expect((await auditLog.query({ action: "ingest.run" })).entries).toEqual([
+      expect.objectContaining({ action: "ingest.run" }),
+    ]);
+  });
+
+  test("rejects repeated parameters with 400", async () => {
+    await expect(
+      auditLog.query({ action: ["source.", "ingest."] })
+    ).rejects.toMatchObject({ status: 400 });
+  });
+});
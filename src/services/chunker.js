@@ -0,0 +1,148 @@
+// src/services/chunker.js
+const { estimateTokens } = require("../utils/tokens");
+
+const DEFAULT_MAX_TOKENS = parseInt(process.env.CHUNK_MAX_TOKENS) || 256;
+const DEFAULT_OVERLAP_TOKENS = parseInt(process.env.CHUNK_OVERLAP_TOKENS) || 40;
+
+/**
+ * Split text into sentence spans with character offsets
+ * @param {string} text
+ * @returns {Array<{start: number, end: number, tokens: number}>}
+ */
+function splitSentences(text) {
+  const spans = [];
+  const pattern = /[^.!?]+(?:[.!?]+["'”’)\]]*|$)/g;
+  let match;
+
+  while ((match = pattern.exec(text)) !== null) {
+    if (!match[0]) {
+      pattern.lastIndex++;
+      continue;
+    }
+    // Trim surrounding whitespace but keep offsets into the original text
+    const leading = match[0].length - match[0].trimStart().length;
+    const body = match[0].trim();
+    if (!body) continue;
+
+    const start = match.index + leading;
+    spans.push({ start, end: start + body.length, tokens: estimateTokens(body) });
+  }
+
+  return spans;
+}
+
+/**
+ * Break a sentence that is longer than the budget on word boundaries
+ * @param {string} text
+ * @param {{start: number, end: number}} span
+ * @param {number} maxTokens
+ * @returns {Array<{start: number, end: number, tokens: number}>}
+ */
+function splitLongSpan(text, span, maxTokens) {
+  const pieces = [];
+  const wordPattern = /\S+/g;
+  wordPattern.lastIndex = span.start;
+
+  let pieceStart = null;
+  let pieceEnd = null;
+  let match;
+
+  while ((match = wordPattern.exec(text)) !== null && match.index < span.end) {
+    const wordEnd = Math.min(match.index + match[0].length, span.end);
+    if (pieceStart === null) pieceStart = match.index;
+
+    const candidate = text.slice(pieceStart, wordEnd);
+    if (estimateTokens(candidate) > maxTokens && pieceEnd !== null) {
+      pieces.push({
+        start: pieceStart,
+        end: pieceEnd,
+        tokens: estimateTokens(text.slice(pieceStart, pieceEnd)),
+      });
+      pieceStart = match.index;
+    }
+    pieceEnd = wordEnd;
+  }
+
+  if (pieceStart !== null && pieceEnd > pieceStart) {
+    pieces.push({
+      start: pieceStart,
+      end: pieceEnd,
+      tokens: estimateTokens(text.slice(pieceStart, pieceEnd)),
+    });
+  }
+
+  return pieces;
+}
+
+/**
+ * Split text into overlapping, token-bounded chunks on sentence boundaries
+ *
+ * Each chunk after the first starts with the trailing sentences of the
+ * previous chunk (up to `overlapTokens`), so facts that straddle a boundary
+ * stay retrievable. Offsets index into `text` as passed in.
+ * @param {string} text
+ * @param {Object} [options]
+ * @param {number} [options.maxTokens] - Upper bound per chunk (CHUNK_MAX_TOKENS)
+ * @param {number} [options.overlapTokens] - Overlap between chunks (CHUNK_OVERLAP_TOKENS)
+ * @returns {Array<{index: number, text: string, start: number, end: number, tokens: number}>}
+ */
+function chunkText(
+  text,
+  { maxTokens = DEFAULT_MAX_TOKENS, overlapTokens = DEFAULT_OVERLAP_TOKENS } = {}
+) {
+  if (!text || typeof text !== "string" || !text.trim()) {
+    return [];
+  }
+
+  const overlap = Math.min(overlapTokens, Math.floor(maxTokens / 2));
+  const units = splitSentences(text).flatMap((span) =>
+    span.tokens > maxTokens ? splitLongSpan(text, span, maxTokens) : [span]
+  );
+
+  const chunks = [];
+  let current = [];
+  let currentTokens = 0;
+
+  const flush = () => {
+    const start = current[0].start;
+    const end = current[current.length - 1].end;
+    chunks.push({
+      index: chunks.length,
+      text: text.slice(start, end),
+      start,
+      end,
+      tokens: currentTokens,
+    });
+  };
+
+  for (const unit of units) {
+    if (current.length > 0 && currentTokens + unit.tokens > maxTokens) {
+      flush();
+
+      // Carry trailing units forward as overlap
+      const carried = [];
+      let carriedTokens = 0;
+      for (let i = current.length - 1; i >= 0; i--) {
+        if (carriedTokens + current[i].tokens > overlap) break;
+        carried.unshift(current[i]);
+        carriedTokens += current[i].tokens;
+      }
+      // Overlap must leave room for the next unit
+      while (carried.length && carriedTokens + unit.tokens > maxTokens) {
+        carriedTokens -= carried.shift().tokens;
+      }
+
+      current = carried;
+      currentTokens = carriedTokens;
+    }
+
+    current.push(unit);
+    currentTokens += unit.tokens;
+  }
+
+  if (current.length > 0) flush();
+
+  return chunks;
+}
+
+module.exports = { chunkText, splitSentences };
@@ -0,0 +1,82 @@
+const { chunkText, splitSentences } = require("./chunker");
+
+describe("splitSentences", () => {
+  test("returns trimmed spans with offsets into the text", () => {
+    const text = '  Rates rose.  Did prices fall?"  Yes';
+
+    const spans = splitSentences(text);
+
+    expect(spans.map(({ start, end }) => text.slice(start, end))).toEqual([
+      "Rates rose.",
+      'Did prices fall?"',
+      "Yes",
+    ]);
+  });
+});
+
+describe("chunkText", () => {
+  test("returns no chunks for blank input", () => {
+    expect(chunkText("")).toEqual([]);
+    expect(chunkText("   ")).toEqual([]);
+    expect(chunkText(null)).toEqual([]);
+  });
+
+  test("packs sentences up to maxTokens with contiguous indexes", () => {
+    const text = "Central banks raised rates. Ok. Markets fell sharply today.";
+
+    const chunks = chunkText(text, { maxTokens: 7, overlapTokens: 0 });
+
+    expect(chunks).toEqual([
+      {
+        index: 0,
+        text: "Central banks raised rates.",
+        start: 0,
+        end: 27,
+        tokens: 7,
+      },
+      { index: 1, text: "Ok.", start: 28, end: 31, tokens: 2 },
+      {
+        index: 2,
+        text: "Markets fell sharply today.",
+        start: 32,
+        end: 59,
+        tokens: 7,
+      },
+    ]);
+    for (const chunk of chunks) {
+      expect(text.slice(chunk.start, chunk.end)).toBe(chunk.text);
+    }
+  });
+
+  test("carries trailing sentences into the next chunk as overlap", () => {
+    const text = "One two three. Four five six. Seven eight nine.";
+
+    const chunks = chunkText(text, { maxTokens: 10, overlapTokens: 4 });
+
+    expect(chunks.map((chunk) => chunk.text)).toEqual([
+      "One two three. Four five six.",
+      "Four five six. Seven eight nine.",
+    ]);
+  });
+
+  test("drops overlap that would leave no room for the next sentence", () => {
+    const text = "One two three. Four five six. Seven eight nine.";
+
+    const chunks = chunkText(text, { maxTokens: 8, overlapTokens: 4 });
+
+    expect(chunks.map((chunk) => chunk.text)).toEqual([
+      "One two three. Four five six.",
+      "Seven eight nine.",
+    ]);
+  });
+
+  test("splits a sentence longer than maxTokens on word boundaries", () => {
+    const text = "alpha beta gamma delta epsilon zeta eta theta iota kappa";
+
+    const chunks = chunkText(text, { maxTokens: 5, overlapTokens: 0 });
+
+    expect(chunks.length).toBeGreaterThan(1);
+    expect(chunks.every((chunk) => chunk.tokens <= 5)).toBe(true);
+    expect(chunks.map((chunk) => chunk.text).join(" ")).toBe(text);
+  });
+});
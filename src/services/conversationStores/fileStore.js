@@ -0,0 +1,195 @@
+// src/services/conversationStores/fileStore.js
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+
+// Session IDs safe to use as file names as-is; anything else is hashed
+const SAFE_ID = /^[\w-]{1,128}$/;
+
+/**
+ * Conversations as one JSONL file per session, one message per line, plus a
+ * `.session.json` file of session fields (owner, title, summary, ...)
+ *
+ * Appends are single writes, so a crash can at worst leave a truncated last
+ * line, which reads skip. A session's files are pruned once neither has been
+ * written to for the retention period.
+ */
+class FileConversationStore {
+  /**
+   * @param {Object} options
+   * @param {string} options.dir - Created if missing
+   * @param {number} [options.retentionDays] - 0 keeps conversations forever
+   */
+  constructor({ dir, retentionDays = 30 }) {
+    this.name = "file";
+    this.dir = dir;
+    this.retentionDays = retentionDays;
+    // Pending saveSession per session, so read-merge-writes never interleave
+    this.sessionWrites = new Map();
+    fs.mkdirSync(dir, { recursive: true });
+  }
+
+  fileFor(sessionId, suffix = ".jsonl") {
+    const name = SAFE_ID.test(sessionId)
+      ? sessionId
+      : crypto.createHash("sha256").update(String(sessionId)).digest("hex");
+    return path.join(this.dir, `${name}${suffix}`);
+  }
+
+  /**
+   * Merge fields into the stored session
+   *
+   * Calls for the same session run one after another, e.g. the summary and
+   * title updates that follow the same exchange.
+   * @param {string} sessionId
+   * @param {Object} fields
+   */
+  async saveSession(sessionId, fields) {
+    const previous = this.sessionWrites.get(sessionId) || Promise.resolve();
+    const write = previous
+      .catch(() => {})
+      .then(() => this.writeSessionFields(sessionId, fields));
+    this.sessionWrites.set(sessionId, write);
+
+    try {
+      await write;
+    } finally {
+      if (this.sessionWrites.get(sessionId) === write) {
+        this.sessionWrites.delete(sessionId);
+      }
+    }
+  }
+
+  async writeSessionFields(sessionId, fields) {
+    const file = this.fileFor(sessionId, ".session.json");
+    const session = { ...(await this.readSessionFields(sessionId)), ...fields };
+    // Write then rename so readers never see a partial file; the temp name is
+    // unique so other processes sharing the directory cannot collide with it
+    const tmp = `${file}.${process.pid}.${crypto
+      .randomBytes(6)
+      .toString("hex")}.tmp`;
+    await fs.promises.writeFile(tmp, JSON.stringify(session));
+    await fs.promises.rename(tmp, file);
+  }
+
+  async readSessionFields(sessionId) {
+    try {
+      return JSON.parse(
+        await fs.promises.readFile(
+          this.fileFor(sessionId, ".session.json"),
+          "utf8"
+        )
+      );
+    } catch (error) {
+      if (error.code === "ENOENT") return {};
+      throw error;
+    }
+  }
+
+  /**
+   * @param {string} sessionId
+   * @param {Object} message - As stored in Redis, including `timestamp`
+   */
+  async appendMessage(sessionId, message) {
+    await fs.promises.appendFile(
+      this.fileFor(sessionId),
+      `${JSON.stringify(message)}\n`
+    );
+  }
+
+  async readMessages(sessionId) {
+    let text;
+    try {
+      text = await fs.promises.readFile(this.fileFor(sessionId), "utf8");
+    } catch (error) {
+      if (error.code === "ENOENT") return [];
+      throw error;
+    }
+
+    const messages = [];
+    for (const line of text.split("\n")) {
+      if (!line) continue;
+      try {
+        messages.push(JSON.parse(line));
+      } catch {
+        // Truncated by an interrupted write
+      }
+    }
+    return messages;
+  }
+
+  /**
+   * @param {string} sessionId
+   * @param {number} [limit] - Most recent messages to return
+   * @returns {Promise<Array>} Oldest first
+   */
+  async getMessages(sessionId, limit = 50) {
+    return (await this.readMessages(sessionId)).slice(-limit);
+  }
+
+  /**
+   * Saved session fields, with activity details taken from its messages
+   * @param {string} sessionId
+   * @returns {Promise<Object|null>} Null when nothing is stored for the session
+   */
+  async getSession(sessionId) {
+    const [fields, messages] = await Promise.all([
+      this.readSessionFields(sessionId),
+      this.readMessages(sessionId),
+    ]);
+    if (Object.keys(fields).length === 0 && messages.length === 0) return null;
+
+    const first = messages[0];
+    const last = messages[messages.length - 1];
+    return {
+      id: sessionId,
+      createdAt: first?.timestamp,
+      ...fields,
+      lastActivityAt: last?.timestamp || fields.createdAt,
+      messagesCount: messages.length,
+    };
+  }
+
+  async deleteSession(sessionId) {
+    await Promise.all([
+      fs.promises.rm(this.fileFor(sessionId), { force: true }),
+      fs.promises.rm(this.fileFor(sessionId, ".session.json"), {
+        force: true,
+      }),
+    ]);
+  }
+
+  /**
+   * Delete conversations idle for longer than the retention period
+   * @returns {Promise<number>} Sessions deleted
+   */
+  async prune() {
+    if (!this.retentionDays) return 0;
+    const cutoff = Date.now() - this.retentionDays * 24 * 60 * 60 * 1000;
+
+    // Latest write to any of a session's files
+    const lastWrite = new Map();
+    for (const file of await fs.promises.readdir(this.dir)) {
+      const name = file.replace(/(\.session\.json|\.jsonl)$/, "");
+      if (name === file) continue;
+      const { mtimeMs } = await fs.promises.stat(path.join(this.dir, file));
+      lastWrite.set(name, Math.max(lastWrite.get(name) || 0, mtimeMs));
+    }
+
+    let deleted = 0;
+    for (const [name, mtimeMs] of lastWrite) {
+      if (mtimeMs >= cutoff) continue;
+      await Promise.all(
+        [".jsonl", ".session.json"].map((suffix) =>
+          fs.promises.rm(path.join(this.dir, `${name}${suffix}`), {
+            force: true,
+          })
+        )
+      );
+      deleted++;
+    }
+    return deleted;
+  }
+}
+
+module.exports = FileConversationStore;
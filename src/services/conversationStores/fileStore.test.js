@@ -0,0 +1,62 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const FileConversationStore = require("./fileStore");
+
+describe("FileConversationStore", () => {
+  let dir;
+  let store;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "conversations-"));
+    store = new FileConversationStore({ dir });
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test("keeps every field when sessions are saved concurrently", async () => {
+    await store.saveSession("s1", { id: "s1", ownerId: "u1" });
+
+    await Promise.all([
+      store.saveSession("s1", { summary: "Earlier turns" }),
+      store.saveSession("s1", { title: "Election results" }),
+      store.saveSession("s1", { pinned: true }),
+    ]);
+
+    expect(await store.readSessionFields("s1")).toEqual({
+      id: "s1",
+      ownerId: "u1",
+      summary: "Earlier turns",
+      title: "Election results",
+      pinned: true,
+    });
+    expect(fs.readdirSync(dir)).toEqual(["s1.session.json"]);
+  });
+
+  test("returns messages oldest first with session activity", async () => {
+    await store.saveSession("s1", { ownerId: "u1", createdAt: "2024-01-01" });
+    await store.appendMessage("s1", {
+      role: "user",
+      content: "Hi",
+      timestamp: "t1",
+    });
+    await store.appendMessage("s1", {
+      role: "assistant",
+      content: "Hello",
+      timestamp: "t2",
+    });
+
+    expect((await store.getMessages("s1")).map((msg) => msg.content)).toEqual([
+      "Hi",
+      "Hello",
+    ]);
+    expect(await store.getSession("s1")).toMatchObject({
+      id: "s1",
+      ownerId: "u1",
+      lastActivityAt: "t2",
+      messagesCount: 2,
+    });
+  });
+});
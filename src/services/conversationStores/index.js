@@ -0,0 +1,83 @@
+// src/services/conversationStores/index.js
+const path = require("path");
+const FileConversationStore = require("./fileStore");
+const logger = require("../../utils/logger");
+
+const STORE_NAMES = ["file", "none"];
+const DEFAULT_DIR = path.resolve(__dirname, "../../../data/conversations");
+
+let defaultStore;
+let pruneTimer = null;
+
+/**
+ * Build the durable conversation store, or null when CONVERSATION_STORE is
+ * `none` (Redis only, messages expire with CHAT_HISTORY_TTL)
+ *
+ * Every store exposes `name`, `appendMessage(sessionId, message)`,
+ * `getMessages(sessionId, limit)`, `saveSession(sessionId, fields)`,
+ * `getSession(sessionId)`, `deleteSession(sessionId)` and
+ * `prune() → deleted count`.
+ * @param {Object} [env] - Defaults to process.env
+ * @returns {Object|null}
+ */
+function createConversationStore(env = process.env) {
+  const name = (env.CONVERSATION_STORE || "file").toLowerCase();
+  const retentionDays = parseFloat(env.CONVERSATION_RETENTION_DAYS ?? 30);
+
+  switch (name) {
+    case "none":
+      return null;
+    case "file":
+      return new FileConversationStore({
+        dir: env.CONVERSATION_STORE_DIR || DEFAULT_DIR,
+        retentionDays: Number.isNaN(retentionDays) ? 30 : retentionDays,
+      });
+    default:
+      throw new Error(
+        `Unknown CONVERSATION_STORE: ${name}. Use one of: ${STORE_NAMES.join(
+          ", "
+        )}`
+      );
+  }
+}
+
+/**
+ * Shared store for the configured environment
+ * @returns {Object|null}
+ */
+function getConversationStore() {
+  if (defaultStore === undefined) {
+    defaultStore = createConversationStore();
+  }
+  return defaultStore;
+}
+
+/**
+ * Prune expired conversations now and then every `intervalMs`
+ * @param {number} [intervalMs]
+ */
+function startPruning(intervalMs = 6 * 60 * 60 * 1000) {
+  const store = getConversationStore();
+  if (!store || pruneTimer) return;
+
+  const prune = () =>
+    store
+      .prune()
+      .then((deleted) => {
+        if (deleted > 0) logger.info(`Pruned ${deleted} stored conversations`);
+      })
+      .catch((error) => {
+        logger.error(`Conversation pruning failed: ${error.message}`);
+      });
+
+  prune();
+  pruneTimer = setInterval(prune, intervalMs);
+  pruneTimer.unref();
+}
+
+module.exports = {
+  STORE_NAMES,
+  createConversationStore,
+  getConversationStore,
+  startPruning,
+};
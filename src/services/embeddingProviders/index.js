@@ -0,0 +1,52 @@
+// src/services/embeddingProviders/index.js
+const JinaEmbeddingProvider = require("./jinaProvider");
+const OpenAICompatibleEmbeddingProvider = require("./openaiProvider");
+const LocalEmbeddingProvider = require("./localProvider");
+
+let defaultProvider;
+
+/**
+ * Build an embedding provider from configuration
+ *
+ * Every provider exposes `name`, `model`, `dimension`, `maxInputChars`,
+ * `requestDelayMs` and `embed(texts) → {embeddings, usage, model}`.
+ * @param {Object} env - Defaults to process.env
+ * @returns {Object}
+ */
+function createEmbeddingProvider(env = process.env) {
+  const name = (env.EMBEDDING_PROVIDER || "jina").toLowerCase();
+  const dimension = parseInt(env.EMBEDDING_DIMENSION) || undefined;
+
+  switch (name) {
+    case "jina":
+      return new JinaEmbeddingProvider({
+        apiKey: env.JINA_API_KEY,
+        model: env.EMBEDDING_MODEL,
+        dimension,
+      });
+    case "openai":
+      return new OpenAICompatibleEmbeddingProvider({
+        baseUrl: env.EMBEDDING_BASE_URL,
+        model: env.EMBEDDING_MODEL,
+        apiKey: env.EMBEDDING_API_KEY,
+        dimension,
+      });
+    case "local":
+      return new LocalEmbeddingProvider({ dimension });
+    default:
+      throw new Error(`Unknown EMBEDDING_PROVIDER: ${name}`);
+  }
+}
+
+/**
+ * Shared provider for the configured environment
+ * @returns {Object}
+ */
+function getEmbeddingProvider() {
+  if (!defaultProvider) {
+    defaultProvider = createEmbeddingProvider();
+  }
+  return defaultProvider;
+}
+
+module.exports = { createEmbeddingProvider, getEmbeddingProvider };
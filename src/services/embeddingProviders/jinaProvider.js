@@ -0,0 +1,92 @@
+// src/services/embeddingProviders/jinaProvider.js
+const axios = require("axios");
+
+const MODEL_DIMENSIONS = {
+  "jina-embeddings-v2-small-en": 512,
+  "jina-embeddings-v2-base-en": 768,
+  "jina-embeddings-v3": 1024,
+};
+
+class JinaEmbeddingProvider {
+  /**
+   * @param {Object} options
+   * @param {string} options.apiKey
+   * @param {string} [options.model]
+   * @param {number} [options.dimension] - Required for models not listed above
+   */
+  constructor({ apiKey, model = "jina-embeddings-v2-base-en", dimension }) {
+    if (!apiKey) {
+      throw new Error("JINA_API_KEY is required");
+    }
+
+    this.name = "jina";
+    this.apiKey = apiKey;
+    this.model = model;
+    this.baseUrl = "https://api.jina.ai/v1/embeddings";
+    this.dimension = dimension || MODEL_DIMENSIONS[model];
+    this.maxInputChars = 8192; // Jina AI max token limit
+    this.requestDelayMs = 1000; // Free tier rate limiting
+
+    if (!this.dimension) {
+      throw new Error(
+        `Unknown dimension for Jina model ${model}; set EMBEDDING_DIMENSION`
+      );
+    }
+  }
+
+  /**
+   * @param {string[]} texts
+   * @returns {Promise<{embeddings: number[][], usage: Object, model: string}>}
+   */
+  async embed(texts) {
+    try {
+      const response = await axios.post(
+        this.baseUrl,
+        {
+          model: this.model,
+          input: texts,
+          encoding_format: "float",
+        },
+        {
+          headers: {
+            Authorization: `Bearer ${this.apiKey}`,
+            "Content-Type": "application/json",
+          },
+          timeout: 60000, // Increased to 60 seconds
+        }
+      );
+
+      if (!response.data || !response.data.data) {
+        throw new Error("Invalid response format from Jina API");
+      }
+
+      return {
+        embeddings: response.data.data.map((item) => item.embedding),
+        usage: response.data.usage,
+        model: response.data.model,
+      };
+    } catch (error) {
+      if (!error.response) throw error;
+
+      // Handle specific error cases
+      const status = error.response.status;
+      let wrapped;
+      if (status === 422) {
+        wrapped = new Error(
+          `Jina API validation error: ${JSON.stringify(error.response.data)}`
+        );
+      } else if (status === 429) {
+        wrapped = new Error("Rate limit exceeded. Please try again later.");
+      } else if (status === 401) {
+        wrapped = new Error("Invalid API key. Please check your JINA_API_KEY.");
+      } else {
+        wrapped = new Error(`Jina API error: ${status}`);
+      }
+      wrapped.status = status;
+      wrapped.details = error.response.data;
+      throw wrapped;
+    }
+  }
+}
+
+module.exports = JinaEmbeddingProvider;
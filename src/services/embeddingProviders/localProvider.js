@@ -0,0 +1,83 @@
+// src/services/embeddingProviders/localProvider.js
+const { tokenize } = require("../../utils/tokenize");
+
+/**
+ * 32-bit FNV-1a hash, stable across runs and platforms
+ * @param {string} str
+ * @returns {number}
+ */
+function fnv1a(str) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    hash ^= str.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Deterministic offline embeddings using the hashing trick
+ *
+ * Unigrams and bigrams are hashed into `dimension` signed buckets, weighted by
+ * sublinear term frequency and an IDF proxy based on token length (rare words
+ * tend to be longer), then L2-normalised so cosine similarity behaves like
+ * TF-IDF overlap. No network access or model files are needed, which makes it
+ * suitable for tests and air-gapped development.
+ */
+class LocalEmbeddingProvider {
+  /**
+   * @param {Object} options
+   * @param {number} [options.dimension]
+   */
+  constructor({ dimension = 384 } = {}) {
+    this.name = "local";
+    this.model = "local-hashing-tfidf";
+    this.dimension = dimension;
+    this.maxInputChars = Infinity;
+    this.requestDelayMs = 0;
+  }
+
+  tokenize(text) {
+    return tokenize(text);
+  }
+
+  embedOne(text) {
+    const vector = new Array(this.dimension).fill(0);
+    const tokens = this.tokenize(text);
+
+    const counts = new Map();
+    tokens.forEach((token, i) => {
+      counts.set(token, (counts.get(token) || 0) + 1);
+      if (i > 0) {
+        const bigram = `${tokens[i - 1]}_${token}`;
+        counts.set(bigram, (counts.get(bigram) || 0) + 1);
+      }
+    });
+
+    for (const [term, count] of counts) {
+      const hash = fnv1a(term);
+      const index = hash % this.dimension;
+      const sign = hash & 0x80000000 ? -1 : 1;
+      const tf = 1 + Math.log(count);
+      const idf = Math.log(1 + Math.min(term.length, 12));
+      vector[index] += sign * tf * idf;
+    }
+
+    const norm = Math.sqrt(vector.reduce((sum, v) => sum + v * v, 0));
+    return norm === 0 ? vector : vector.map((v) => v / norm);
+  }
+
+  /**
+   * @param {string[]} texts
+   * @returns {Promise<{embeddings: number[][], usage: Object, model: string}>}
+   */
+  async embed(texts) {
+    return {
+      embeddings: texts.map((text) => this.embedOne(text)),
+      usage: { total_tokens: 0 },
+      model: this.model,
+    };
+  }
+}
+
+module.exports = LocalEmbeddingProvider;
@@ -0,0 +1,46 @@
+const LocalEmbeddingProvider = require("./localProvider");
+const { createEmbeddingProvider } = require("./index");
+
+const cosine = (a, b) => a.reduce((sum, v, i) => sum + v * b[i], 0);
+
+describe("LocalEmbeddingProvider", () => {
+  const provider = new LocalEmbeddingProvider({ dimension: 64 });
+
+  test("returns identical unit vectors for identical text", async () => {
+    const { embeddings, model } = await provider.embed([
+      "Central bank raises interest rates",
+      "Central bank raises interest rates",
+    ]);
+
+    expect(model).toBe("local-hashing-tfidf");
+    expect(embeddings[0]).toHaveLength(64);
+    expect(embeddings[0]).toEqual(embeddings[1]);
+    expect(cosine(embeddings[0], embeddings[0])).toBeCloseTo(1);
+  });
+
+  test("scores overlapping text above unrelated text", async () => {
+    const [query, related, unrelated] = (
+      await provider.embed([
+        "interest rates rise",
+        "The central bank said interest rates will rise again",
+        "Football team wins the cup final",
+      ])
+    ).embeddings;
+
+    expect(cosine(query, related)).toBeGreaterThan(cosine(query, unrelated));
+  });
+
+  test("embeds empty text as a zero vector", () => {
+    expect(provider.embedOne("").every((v) => v === 0)).toBe(true);
+  });
+
+  test("is selected and sized from the environment", () => {
+    const configured = createEmbeddingProvider({
+      EMBEDDING_PROVIDER: "local",
+      EMBEDDING_DIMENSION: "128",
+    });
+
+    expect(configured).toBeInstanceOf(LocalEmbeddingProvider);
+    expect(configured.dimension).toBe(128);
+  });
+});
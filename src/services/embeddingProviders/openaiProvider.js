@@ -0,0 +1,78 @@
+// src/services/embeddingProviders/openaiProvider.js
+const axios = require("axios");
+
+/**
+ * Any server exposing the OpenAI `/v1/embeddings` API
+ * (OpenAI, Ollama, llama.cpp server, vLLM, LM Studio...)
+ */
+class OpenAICompatibleEmbeddingProvider {
+  /**
+   * @param {Object} options
+   * @param {string} options.baseUrl - e.g. http://localhost:11434/v1
+   * @param {string} options.model
+   * @param {number} options.dimension - Vector size the model produces
+   * @param {string} [options.apiKey] - Omitted for local servers
+   */
+  constructor({ baseUrl, model, dimension, apiKey }) {
+    if (!baseUrl || !model) {
+      throw new Error(
+        "EMBEDDING_BASE_URL and EMBEDDING_MODEL are required for the openai provider"
+      );
+    }
+    if (!dimension) {
+      throw new Error("EMBEDDING_DIMENSION is required for the openai provider");
+    }
+
+    this.name = "openai";
+    this.baseUrl = baseUrl.replace(/\/+$/, "");
+    this.model = model;
+    this.dimension = dimension;
+    this.apiKey = apiKey;
+    this.maxInputChars = 8192;
+    this.requestDelayMs = 0;
+  }
+
+  /**
+   * @param {string[]} texts
+   * @returns {Promise<{embeddings: number[][], usage: Object, model: string}>}
+   */
+  async embed(texts) {
+    const headers = { "Content-Type": "application/json" };
+    if (this.apiKey) headers.Authorization = `Bearer ${this.apiKey}`;
+
+    try {
+      const response = await axios.post(
+        `${this.baseUrl}/embeddings`,
+        { model: this.model, input: texts },
+        { headers, timeout: 60000 }
+      );
+
+      if (!response.data || !Array.isArray(response.data.data)) {
+        throw new Error("Invalid response format from embeddings server");
+      }
+
+      // The spec allows out-of-order results; `index` is authoritative
+      const embeddings = [...response.data.data]
+        .sort((a, b) => (a.index ?? 0) - (b.index ?? 0))
+        .map((item) => item.embedding);
+
+      return {
+        embeddings,
+        usage: response.data.usage,
+        model: response.data.model || this.model,
+      };
+    } catch (error) {
+      if (!error.response) throw error;
+
+      const wrapped = new Error(
+        `Embeddings server error: ${error.response.status} - ${JSON.stringify(
+          error.response.data
+        )}`
+      );
+      wrapped.status = error.response.status;
+      throw wrapped;
+    }
+  }
+}
+
+module.exports = OpenAICompatibleEmbeddingProvider;
@@ -1,19 +1,26 @@
 // src/services/embeddings.js
-const axios = require("axios");
+const { getEmbeddingProvider } = require("./embeddingProviders");
+const { chunkText } = require("./chunker");
 const logger = require("../utils/logger");
 
 class EmbeddingsService {
-  constructor() {
-    this.jinaApiKey = process.env.JINA_API_KEY;
-    this.baseUrl = "https://api.jina.ai/v1/embeddings";
+  /**
+   * @param {Object} [provider] - Embedding provider; defaults to EMBEDDING_PROVIDER
+   */
+  constructor(provider = getEmbeddingProvider()) {
+    this.provider = provider;
+  }
 
-    if (!this.jinaApiKey) {
-      throw new Error("JINA_API_KEY is required");
-    }
+  /**
+   * Vector size produced by the configured provider
+   * @returns {number}
+   */
+  get dimension() {
+    return this.provider.dimension;
   }
 
   /**
-   * Generate embeddings for text using Jina AI
+   * Generate embeddings for text using the configured provider
    * @param {string|string[]} texts - Text or array of texts to embed
    * @returns {Promise<number[]|number[][]>} Embedding vector(s)
    */
@@ -26,7 +33,9 @@ class EmbeddingsService {
       const validTexts = inputTexts.filter((text) => {
         if (!text || typeof text !== "string") return false;
         const trimmed = text.trim();
-        return trimmed.length > 0 && trimmed.length <= 8192; // Jina AI max token limit
+        return (
+          trimmed.length > 0 && trimmed.length <= this.provider.maxInputChars
+        );
       });
 
       if (validTexts.length === 0) {
@@ -49,37 +58,20 @@ class EmbeddingsService {
         previews: processedTexts.map((t) => t.substring(0, 50) + "..."),
       });
 
-      const response = await axios.post(
-        this.baseUrl,
-        {
-          model: "jina-embeddings-v2-base-en",
-          input: processedTexts,
-          encoding_format: "float",
-        },
-        {
-          headers: {
-            Authorization: `Bearer ${this.jinaApiKey}`,
-            "Content-Type": "application/json",
-          },
-          timeout: 60000, // Increased to 60 seconds
-        }
-      );
-
-      if (!response.data || !response.data.data) {
-        throw new Error("Invalid response format from Jina API");
-      }
+      const result = await this.provider.embed(processedTexts);
 
-      const embeddings = response.data.data.map((item) => {
-        if (!item.embedding || !Array.isArray(item.embedding)) {
+      const embeddings = result.embeddings.map((embedding) => {
+        if (!embedding || !Array.isArray(embedding)) {
           throw new Error("Invalid embedding format in response");
         }
-        return item.embedding;
+        return embedding;
       });
 
       // Log usage for monitoring
       logger.info(`Generated embeddings for ${processedTexts.length} texts`, {
-        usage: response.data.usage,
-        model: response.data.model,
+        provider: this.provider.name,
+        usage: result.usage,
+        model: result.model,
         embeddingDimensions: embeddings[0]?.length || 0,
       });
 
@@ -93,36 +85,28 @@ class EmbeddingsService {
           : [texts?.length || 0],
       });
 
-      if (error.response) {
+      if (error.status) {
         logger.error("API Error Details:", {
-          status: error.response.status,
-          statusText: error.response.statusText,
-          data: error.response.data,
-          headers: error.response.headers,
+          provider: this.provider.name,
+          status: error.status,
+          data: error.details,
         });
-
-        // Handle specific error cases
-        if (error.response.status === 422) {
-          throw new Error(
-            `Jina API validation error: ${JSON.stringify(error.response.data)}`
-          );
-        } else if (error.response.status === 429) {
-          throw new Error("Rate limit exceeded. Please try again later.");
-        } else if (error.response.status === 401) {
-          throw new Error("Invalid API key. Please check your JINA_API_KEY.");
-        }
       }
 
-      throw new Error(`Failed to generate embeddings: ${error.message}`);
+      const wrapped = new Error(
+        `Failed to generate embeddings: ${error.message}`
+      );
+      wrapped.status = error.status;
+      throw wrapped;
     }
   }
 
   /**
-   * Prepare text for embedding by cleaning and validating
+   * Normalize text without truncating it
    * @param {string} text
    * @returns {string}
    */
-  prepareTextForEmbedding(text) {
+  cleanText(text) {
     if (!text || typeof text !== "string") {
       return "";
     }
@@ -131,6 +115,7 @@ class EmbeddingsService {
 
     // Remove control characters and non-printable characters
     processed = processed.replace(
+      // eslint-disable-next-line no-control-regex
       /[\u0000-\u0008\u000B\u000C\u000E-\u001F\u007F-\u009F]/g,
       ""
     );
@@ -147,6 +132,17 @@ class EmbeddingsService {
     // Remove problematic characters that might cause API issues
     processed = processed.replace(/[^\x20-\x7E\u00A0-\uFFFF]/g, "");
 
+    return processed;
+  }
+
+  /**
+   * Prepare text for embedding by cleaning and validating
+   * @param {string} text
+   * @returns {string}
+   */
+  prepareTextForEmbedding(text) {
+    let processed = this.cleanText(text);
+
     // Ensure reasonable length (Jina AI works best with texts under 8192 characters)
     if (processed.length > 8000) {
       processed = processed.substring(0, 8000);
@@ -180,7 +176,7 @@ class EmbeddingsService {
     for (let attempt = 1; attempt <= maxRetries; attempt++) {
       try {
         // Add delay before each attempt (including first one for rate limiting)
-        const baseDelay = 1000; // 1 second base delay
+        const baseDelay = this.provider.requestDelayMs;
         const retryDelay = attempt > 1 ? Math.pow(2, attempt - 1) * 1000 : 0;
         const totalDelay = baseDelay + retryDelay;
 
@@ -203,12 +199,12 @@ class EmbeddingsService {
 
         logger.warn(`Embedding attempt ${attempt}/${maxRetries} failed:`, {
           error: error.message,
-          status: error.response?.status,
+          status: error.status,
         });
 
         // Don't retry on certain errors
-        if (error.response) {
-          const status = error.response.status;
+        if (error.status) {
+          const status = error.status;
           if (status === 401 || status === 403) {
             // Authentication errors - don't retry
             throw error;
@@ -216,8 +212,7 @@ class EmbeddingsService {
           if (status === 422 && attempt === maxRetries) {
             // Validation error on final attempt - log details and throw
             logger.error("Final validation error details:", {
-              requestData: error.config?.data,
-              responseData: error.response.data,
+              message: error.message,
             });
             throw error;
           }
@@ -233,88 +228,40 @@ class EmbeddingsService {
   }
 
   /**
-   * Process text for embedding (cleaning, chunking)
+   * Split text into overlapping, token-bounded chunks ready for embedding
    * @param {string} text
-   * @returns {string[]} Processed text chunks
+   * @param {Object} [options] - `maxTokens` / `overlapTokens` for chunkText
+   * @returns {{text: string, chunks: Array}} Cleaned text and chunks with offsets into it
    */
-  processTextForEmbedding(text) {
-    if (!text || typeof text !== "string") {
-      return [];
-    }
-
-    // Initial cleaning
-    const cleanText = this.prepareTextForEmbedding(text);
+  chunkForEmbedding(text, options = {}) {
+    const cleanText = this.cleanText(text);
 
     if (!cleanText || cleanText.length < 10) {
-      return [];
-    }
-
-    // For texts under the limit, return as single chunk
-    const maxLength = 7500; // Conservative limit for Jina AI
-
-    if (cleanText.length <= maxLength) {
-      return [cleanText];
-    }
-
-    // Smart sentence-based chunking for long texts
-    const sentences = cleanText
-      .split(/(?<=[.!?])\s+/)
-      .filter((s) => s.trim().length > 0);
-
-    const chunks = [];
-    let currentChunk = "";
-
-    for (const sentence of sentences) {
-      const trimmedSentence = sentence.trim();
-      if (!trimmedSentence) continue;
-
-      // Check if adding this sentence would exceed the limit
-      const potentialChunk = currentChunk
-        ? `${currentChunk} ${trimmedSentence}`
-        : trimmedSentence;
-
-      if (potentialChunk.length <= maxLength) {
-        currentChunk = potentialChunk;
-      } else {
-        // Current chunk is full, save it and start a new one
-        if (currentChunk) {
-          chunks.push(currentChunk);
-        }
-
-        // If single sentence is too long, truncate it
-        if (trimmedSentence.length > maxLength) {
-          currentChunk = trimmedSentence.substring(0, maxLength);
-        } else {
-          currentChunk = trimmedSentence;
-        }
-      }
+      return { text: cleanText, chunks: [] };
     }
 
-    // Add the final chunk
-    if (currentChunk) {
-      chunks.push(currentChunk);
-    }
-
-    // Fallback: if no chunks created, create chunks by character split
-    if (chunks.length === 0) {
-      for (let i = 0; i < cleanText.length; i += maxLength) {
-        chunks.push(cleanText.substring(i, i + maxLength));
-      }
-    }
+    // Renumber after dropping fragments: point IDs and the stale-point
+    // cleanup both assume indexes 0..chunks.length - 1
+    const chunks = chunkText(cleanText, options)
+      .filter((chunk) => chunk.text.length >= 10)
+      .map((chunk, index) => ({ ...chunk, index }));
 
-    // Filter out chunks that are too short or invalid
-    const validChunks = chunks.filter(
-      (chunk) =>
-        chunk && chunk.trim().length >= 10 && chunk.trim().length <= 8000
-    );
-
-    logger.debug(`Processed text into ${validChunks.length} chunks`, {
+    logger.debug(`Processed text into ${chunks.length} chunks`, {
       originalLength: text.length,
       cleanedLength: cleanText.length,
-      chunkLengths: validChunks.map((c) => c.length),
+      chunkTokens: chunks.map((c) => c.tokens),
     });
 
-    return validChunks;
+    return { text: cleanText, chunks };
+  }
+
+  /**
+   * Process text for embedding (cleaning, chunking)
+   * @param {string} text
+   * @returns {string[]} Processed text chunks
+   */
+  processTextForEmbedding(text) {
+    return this.chunkForEmbedding(text).chunks.map((chunk) => chunk.text);
   }
 
   /**
@@ -0,0 +1,33 @@
+const EmbeddingsService = require("./embeddings");
+
+describe("EmbeddingsService.chunkForEmbedding", () => {
+  const service = new EmbeddingsService({ name: "test", dimension: 3 });
+
+  test("renumbers chunks after dropping short fragments", () => {
+    const { chunks } = service.chunkForEmbedding(
+      "Central banks raised rates. Ok. Markets fell sharply today.",
+      { maxTokens: 7, overlapTokens: 0 }
+    );
+
+    expect(chunks.map((chunk) => chunk.text)).toEqual([
+      "Central banks raised rates.",
+      "Markets fell sharply today.",
+    ]);
+    // Point IDs and stale-point cleanup rely on indexes 0..length - 1
+    expect(chunks.map((chunk) => chunk.index)).toEqual([0, 1]);
+  });
+
+  test("returns offsets into the cleaned text", () => {
+    const { text, chunks } = service.chunkForEmbedding(
+      "  Rates\u200B rose\n\nagain today.  "
+    );
+
+    expect(text).toBe("Rates rose again today.");
+    expect(chunks).toHaveLength(1);
+    expect(text.slice(chunks[0].start, chunks[0].end)).toBe(chunks[0].text);
+  });
+
+  test("returns no chunks for text under 10 characters", () => {
+    expect(service.chunkForEmbedding("Too short").chunks).toEqual([]);
+  });
+});
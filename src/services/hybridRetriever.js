@@ -0,0 +1,196 @@
+// src/services/hybridRetriever.js
+const { vectorUtils } = require("../config/database");
+const EmbeddingsService = require("./embeddings");
+const LexicalIndex = require("./lexicalIndex");
+const {
+  getScoreThreshold,
+  getRetrievalCutoffs,
+  applyRelativeCutoff,
+} = require("../config/retrieval");
+const logger = require("../utils/logger");
+
+const MODES = ["hybrid", "vector", "lexical"];
+
+/**
+ * Retrieves chunks with vector search, BM25 or both, fusing ranked lists
+ * with reciprocal rank fusion: score = Σ weight / (k + rank)
+ *
+ * Every result carries `scores: {vector, lexical, fused}` so callers can
+ * see which retriever found it; `score` is the fused score.
+ */
+class HybridRetriever {
+  /**
+   * @param {Object} [options]
+   * @param {EmbeddingsService} [options.embeddingsService]
+   * @param {LexicalIndex} [options.lexicalIndex]
+   * @param {string} [options.mode] - `hybrid`, `vector` or `lexical` (RETRIEVAL_MODE)
+   * @param {{vector: number, lexical: number}} [options.weights] - HYBRID_VECTOR_WEIGHT / HYBRID_LEXICAL_WEIGHT
+   * @param {number} [options.rrfK] - Rank offset; higher flattens the fusion (HYBRID_RRF_K)
+   * @param {number} [options.candidates] - Results fetched from each retriever (HYBRID_CANDIDATES)
+   * @param {number} [options.filterOverfetch] - Lexical hits scanned per candidate when a filter is set (HYBRID_FILTER_OVERFETCH)
+   * @param {number} [options.scoreThreshold] - Minimum cosine similarity; see getScoreThreshold
+   * @param {Object} [options.cutoffs] - Overrides for getRetrievalCutoffs
+   */
+  constructor({
+    embeddingsService,
+    lexicalIndex,
+    mode = process.env.RETRIEVAL_MODE || "hybrid",
+    weights = {},
+    rrfK = parseInt(process.env.HYBRID_RRF_K) || 60,
+    candidates = parseInt(process.env.HYBRID_CANDIDATES) || 20,
+    filterOverfetch = parseInt(process.env.HYBRID_FILTER_OVERFETCH) || 10,
+    scoreThreshold,
+    cutoffs = {},
+  } = {}) {
+    if (!MODES.includes(mode)) {
+      throw new Error(
+        `Unknown RETRIEVAL_MODE '${mode}'. Use one of: ${MODES.join(", ")}`
+      );
+    }
+
+    this.embeddingsService = embeddingsService || new EmbeddingsService();
+    this.lexicalIndex = lexicalIndex || new LexicalIndex();
+    this.mode = mode;
+    this.weights = {
+      vector:
+        weights.vector ?? (parseFloat(process.env.HYBRID_VECTOR_WEIGHT) || 1),
+      lexical:
+        weights.lexical ?? (parseFloat(process.env.HYBRID_LEXICAL_WEIGHT) || 1),
+    };
+    this.rrfK = rrfK;
+    this.candidates = candidates;
+    this.filterOverfetch = filterOverfetch;
+
+    const { provider } = this.embeddingsService;
+    this.scoreThreshold =
+      scoreThreshold ??
+      getScoreThreshold({
+        collection: "news_embeddings",
+        provider: provider.name,
+        model: provider.model,
+      });
+    this.cutoffs = { ...getRetrievalCutoffs(), ...cutoffs };
+  }
+
+  /**
+   * @param {string} query - The user's question; matched lexically
+   * @param {Object} [options]
+   * @param {string} [options.expandedQuery] - Extra terms appended for the vector search
+   * @param {number} [options.limit]
+   * @param {Object} [options.filter] - Qdrant filter clause applied to both retrievers
+   * @returns {Promise<Array<{id: string, score: number, scores: Object, metadata: Object}>>}
+   */
+  async retrieve(query, { expandedQuery = "", limit = 5, filter } = {}) {
+    // A reranker may ask for a wider pool than HYBRID_CANDIDATES
+    const candidates = Math.max(this.candidates, limit);
+    const [vectorResults, lexicalResults] = await Promise.all([
+      this.mode === "lexical"
+        ? []
+        : this.vectorSearch(
+            `${query} ${expandedQuery}`.trim(),
+            filter,
+            candidates
+          ),
+      this.mode === "vector"
+        ? []
+        : this.lexicalSearch(query, filter, candidates),
+    ]);
+
+    const fused = this.fuse([
+      { name: "vector", weight: this.weights.vector, results: vectorResults },
+      {
+        name: "lexical",
+        weight: this.weights.lexical,
+        results: lexicalResults,
+      },
+    ]).slice(0, limit);
+
+    logger.debug("Hybrid retrieval", {
+      mode: this.mode,
+      vector: vectorResults.length,
+      lexical: lexicalResults.length,
+      returned: fused.length,
+    });
+
+    return fused;
+  }
+
+  async vectorSearch(text, filter, candidates = this.candidates) {
+    const embedding = await this.embeddingsService.generateEmbeddingsWithRetry(
+      text
+    );
+    const results = await vectorUtils.searchSimilar(
+      embedding,
+      candidates,
+      filter,
+      this.scoreThreshold
+    );
+    return applyRelativeCutoff(
+      results,
+      this.cutoffs.relativeCutoff,
+      this.cutoffs.minDocuments
+    );
+  }
+
+  // Lexical hits are joined to their Qdrant payloads, which also applies the
+  // filter; BM25 knows nothing of the filter, so scan deeper when one is set
+  async lexicalSearch(query, filter, candidates = this.candidates) {
+    try {
+      const scanned = filter ? candidates * this.filterOverfetch : candidates;
+      const hits = (await this.lexicalIndex.search(query, scanned)).filter(
+        (hit) => hit.normalizedScore >= this.cutoffs.lexicalThreshold
+      );
+      if (hits.length === 0) return [];
+
+      const points = await vectorUtils.getPointsMatching(
+        hits.map((hit) => hit.id),
+        filter
+      );
+      const payloads = new Map(
+        points.map((point) => [String(point.id), point.metadata])
+      );
+
+      return hits
+        .filter((hit) => payloads.has(hit.id))
+        .map((hit) => ({
+          id: hit.id,
+          score: hit.score,
+          metadata: payloads.get(hit.id),
+        }))
+        .slice(0, candidates);
+    } catch (error) {
+      // Vector results alone are still a usable answer
+      logger.warn(`Lexical search failed: ${error.message}`);
+      return [];
+    }
+  }
+
+  /**
+   * Reciprocal rank fusion of ranked result lists
+   * @param {Array<{name: string, weight: number, results: Array}>} lists
+   * @returns {Array} Fused results, best first
+   */
+  fuse(lists) {
+    const merged = new Map();
+
+    for (const { name, weight, results } of lists) {
+      results.forEach((result, rank) => {
+        const id = String(result.id);
+        const entry = merged.get(id) || {
+          id: result.id,
+          metadata: result.metadata,
+          scores: { vector: null, lexical: null, fused: 0 },
+        };
+        entry.scores[name] = result.score;
+        entry.scores.fused += weight / (this.rrfK + rank + 1);
+        merged.set(id, entry);
+      });
+    }
+
+    return [...merged.values()]
+      .map((entry) => ({ ...entry, score: entry.scores.fused }))
+      .sort((a, b) => b.score - a.score);
+  }
+}
+
+module.exports = HybridRetriever;
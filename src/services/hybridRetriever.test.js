@@ -0,0 +1,70 @@
+jest.mock("../config/database", () => ({ vectorUtils: {} }));
+
+const HybridRetriever = require("./hybridRetriever");
+
+const embeddingsService = { provider: { name: "local", model: "hash" } };
+
+describe("HybridRetriever.fuse", () => {
+  test("ranks by weighted reciprocal rank and keeps each retriever's score", () => {
+    const retriever = new HybridRetriever({
+      embeddingsService,
+      lexicalIndex: {},
+      rrfK: 60,
+      weights: { vector: 1, lexical: 2 },
+    });
+
+    const fused = retriever.fuse([
+      {
+        name: "vector",
+        weight: 1,
+        results: [
+          { id: "a", score: 0.9, metadata: { title: "A" } },
+          { id: "b", score: 0.8, metadata: { title: "B" } },
+        ],
+      },
+      {
+        name: "lexical",
+        weight: 2,
+        results: [
+          { id: "b", score: 7.5, metadata: { title: "B" } },
+          { id: "c", score: 3.1, metadata: { title: "C" } },
+        ],
+      },
+    ]);
+
+    // b: 1/62 + 2/61, c: 2/62, a: 1/61
+    expect(fused.map((r) => r.id)).toEqual(["b", "c", "a"]);
+    expect(fused[0].scores).toEqual({
+      vector: 0.8,
+      lexical: 7.5,
+      fused: 1 / 62 + 2 / 61,
+    });
+    expect(fused[1].scores).toEqual({
+      vector: null,
+      lexical: 3.1,
+      fused: 2 / 62,
+    });
+    expect(fused[2].scores).toEqual({
+      vector: 0.9,
+      lexical: null,
+      fused: 1 / 61,
+    });
+    expect(fused.map((r) => r.score)).toEqual(fused.map((r) => r.scores.fused));
+    expect(fused[1].metadata).toEqual({ title: "C" });
+  });
+
+  test("joins numeric and string IDs of the same point", () => {
+    const retriever = new HybridRetriever({
+      embeddingsService,
+      lexicalIndex: {},
+    });
+
+    const fused = retriever.fuse([
+      { name: "vector", weight: 1, results: [{ id: 42, score: 0.7 }] },
+      { name: "lexical", weight: 1, results: [{ id: "42", score: 2 }] },
+    ]);
+
+    expect(fused).toHaveLength(1);
+    expect(fused[0].scores).toMatchObject({ vector: 0.7, lexical: 2 });
+  });
+});
@@ -0,0 +1,376 @@
+// src/services/ingestionJobs.js
+const { v4: uuidv4 } = require("uuid");
+const database = require("../config/database");
+const { fetchNewsArticles } = require("./newsIngestion");
+const { sourceRegistry } = require("./sourceRegistry");
+const ArticleIndexer = require("./articleIndexer");
+const logger = require("../utils/logger");
+
+const LOCK_KEY = "ingest:lock";
+const JOBS_KEY = "ingest:jobs";
+const LAST_RUN_KEY = "ingest:last_run";
+const jobKey = (id) => `ingest:job:${id}`;
+const sourceRunKey = (id) => `ingest:source:${id}:last_run`;
+
+const COUNTERS = ["fetched", "embedded", "skipped", "failed", "chunks"];
+const RECENT_JOBS = 50;
+
+// Only the holder of the lock may extend or release it
+const RENEW_LOCK_SCRIPT = `
+if redis.call("get", KEYS[1]) == ARGV[1] then
+  return redis.call("pexpire", KEYS[1], ARGV[2])
+end
+return 0`;
+const RELEASE_LOCK_SCRIPT = `
+if redis.call("get", KEYS[1]) == ARGV[1] then
+  return redis.call("del", KEYS[1])
+end
+return 0`;
+
+const jobError = (status, message) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+/**
+ * Runs ingestion jobs (fetch → chunk → embed → upsert) with progress stored
+ * in Redis, and optionally schedules them per source
+ *
+ * A Redis lock ensures only one job runs across all server instances.
+ */
+class IngestionJobRunner {
+  /**
+   * @param {Object} [options]
+   * @param {ArticleIndexer} [options.indexer]
+   */
+  constructor({ indexer } = {}) {
+    this._indexer = indexer;
+    this.lockTtlMs = parseInt(process.env.INGEST_LOCK_TTL_MS) || 10 * 60 * 1000;
+    this.jobTtlSeconds = parseInt(process.env.INGEST_JOB_TTL) || 7 * 86400;
+    this.scheduledLimit = parseInt(process.env.INGEST_SCHEDULED_LIMIT) || 50;
+    this.tickMs = parseInt(process.env.INGEST_SCHEDULER_TICK_MS) || 60 * 1000;
+    this.timer = null;
+  }
+
+  get redis() {
+    return database.redis;
+  }
+
+  // Created on first use so importing the runner does not need embedding credentials
+  get indexer() {
+    if (!this._indexer) this._indexer = new ArticleIndexer();
+    return this._indexer;
+  }
+
+  /**
+   * Start a job in the background
+   * @param {Object} [options]
+   * @param {string[]} [options.sourceIds] - Registry IDs; all enabled sources by default
+   * @param {number} [options.limit] - Cap on articles fetched
+   * @param {boolean} [options.force] - Re-embed unchanged articles
+   * @param {string} [options.trigger] - `manual`, `schedule` or `cli`
+   * @param {Object} [options.fetchOptions] - Passed to fetchNewsArticles
+   * @returns {Promise<Object>} The queued job
+   * @throws {Error} status 409 while another job holds the lock
+   */
+  async start(options = {}) {
+    const { job, sources } = await this.prepare(options);
+
+    this.execute(job, sources, options).catch((err) =>
+      logger.error(`Ingestion job ${job.id} crashed: ${err.message}`)
+    );
+
+    return job;
+  }
+
+  /**
+   * Run a job to completion (CLI); same options as `start`
+   * @returns {Promise<Object>} The finished job
+   */
+  async run(options = {}) {
+    const { job, sources } = await this.prepare(options);
+    await this.execute(job, sources, options);
+    return this.getJob(job.id);
+  }
+
+  async prepare({ sourceIds, limit = 50, force = false, trigger = "manual" }) {
+    const sources = await this.resolveSources(sourceIds);
+    if (sources.length === 0)
+      throw jobError(400, "No enabled sources to ingest");
+
+    const id = uuidv4();
+    const acquired = await this.redis.set(
+      LOCK_KEY,
+      id,
+      "PX",
+      this.lockTtlMs,
+      "NX"
+    );
+    if (acquired !== "OK") {
+      throw jobError(409, "Another ingestion job is already running");
+    }
+
+    const job = {
+      id,
+      status: "queued",
+      trigger,
+      sources: sources.map((source) => source.id),
+      limit,
+      force,
+      ...Object.fromEntries(COUNTERS.map((counter) => [counter, 0])),
+      createdAt: new Date().toISOString(),
+    };
+
+    try {
+      await this.saveJob(job);
+      await this.redis
+        .multi()
+        .lpush(JOBS_KEY, id)
+        .ltrim(JOBS_KEY, 0, RECENT_JOBS - 1)
+        .exec();
+    } catch (err) {
+      await this.redis.eval(RELEASE_LOCK_SCRIPT, 1, LOCK_KEY, id);
+      throw err;
+    }
+
+    return { job, sources };
+  }
+
+  async resolveSources(sourceIds) {
+    const enabled = await sourceRegistry.listEnabled();
+    if (!sourceIds) return enabled;
+
+    const unknown = sourceIds.filter(
+      (id) => !enabled.some((source) => source.id === id)
+    );
+    if (unknown.length) {
+      throw jobError(400, `Unknown or disabled sources: ${unknown.join(", ")}`);
+    }
+    return enabled.filter((source) => sourceIds.includes(source.id));
+  }
+
+  /**
+   * Keep renewing the job's lock on a timer, so slow phases such as fetching
+   * full article text cannot outlast its TTL
+   * @param {string} jobId
+   * @returns {{renew: Function, assertHeld: Function, stop: Function}}
+   *   `assertHeld` throws once a renewal found the lock taken by another job
+   */
+  holdLock(jobId) {
+    let lost = false;
+
+    const renew = async () => {
+      if (lost) return;
+      try {
+        const renewed = await this.redis.eval(
+          RENEW_LOCK_SCRIPT,
+          1,
+          LOCK_KEY,
+          jobId,
+          this.lockTtlMs
+        );
+        if (!renewed) {
+          lost = true;
+          logger.error(`Ingestion job ${jobId} lost its lock`);
+        }
+      } catch (err) {
+        // Transient; the next renewal tries again before the TTL runs out
+        logger.warn(`Failed to renew ingestion lock: ${err.message}`);
+      }
+    };
+
+    const timer = setInterval(renew, Math.max(this.lockTtlMs / 3, 1000));
+    timer.unref();
+
+    return {
+      renew,
+      assertHeld() {
+        if (lost) throw new Error("Lost ingestion lock");
+      },
+      stop: () => clearInterval(timer),
+    };
+  }
+
+  async execute(job, sources, { fetchOptions = {} } = {}) {
+    const key = jobKey(job.id);
+    const increment = (counter, by = 1) => this.redis.hincrby(key, counter, by);
+    const lock = this.holdLock(job.id);
+
+    try {
+      await this.redis.hset(key, {
+        status: "running",
+        startedAt: new Date().toISOString(),
+      });
+      logger.info(
+        `Ingestion job ${job.id} started (${job.trigger}): ${job.sources.join(
+          ", "
+        )}`
+      );
+
+      const articles = await fetchNewsArticles(job.limit, {
+        ...fetchOptions,
+        sources,
+      });
+      lock.assertHeld();
+      await increment("fetched", articles.length);
+
+      for (const article of articles) {
+        // Another job may be writing now; stop rather than race it
+        lock.assertHeld();
+        if (!article.content) {
+          await increment("skipped");
+          continue;
+        }
+
+        try {
+          const result = await this.indexer.indexArticle(article, {
+            force: job.force,
+          });
+          if (result.status === "skipped" || result.stored === 0) {
+            await increment("skipped");
+          } else {
+            await increment("embedded");
+            await increment("chunks", result.stored);
+          }
+        } catch (err) {
+          await increment("failed");
+          logger.error(`Failed to index ${article.link}: ${err.message}`);
+        }
+
+        await lock.renew();
+      }
+
+      const finishedAt = new Date().toISOString();
+      await this.redis.hset(key, { status: "completed", finishedAt });
+      await this.redis.mset(
+        ...sources.flatMap((source) => [sourceRunKey(source.id), finishedAt])
+      );
+    } catch (err) {
+      logger.error(`Ingestion job ${job.id} failed: ${err.message}`);
+      await this.redis.hset(key, {
+        status: "failed",
+        error: err.message,
+        finishedAt: new Date().toISOString(),
+      });
+    } finally {
+      lock.stop();
+      await this.redis.set(LAST_RUN_KEY, job.id);
+      await this.redis.eval(RELEASE_LOCK_SCRIPT, 1, LOCK_KEY, job.id);
+    }
+
+    const finished = await this.getJob(job.id);
+    logger.info(
+      `Ingestion job ${job.id} ${finished.status}: ${COUNTERS.map(
+        (counter) => `${counter}=${finished[counter]}`
+      ).join(" ")}`
+    );
+  }
+
+  async saveJob(job) {
+    const key = jobKey(job.id);
+    await this.redis.hset(key, {
+      ...job,
+      sources: JSON.stringify(job.sources),
+      force: String(job.force),
+    });
+    await this.redis.expire(key, this.jobTtlSeconds);
+  }
+
+  /**
+   * @param {string} id
+   * @returns {Promise<Object|null>}
+   */
+  async getJob(id) {
+    const raw = await this.redis.hgetall(jobKey(id));
+    if (!Object.keys(raw).length) return null;
+
+    const job = {
+      ...raw,
+      sources: JSON.parse(raw.sources || "[]"),
+      limit: parseInt(raw.limit),
+      force: raw.force === "true",
+    };
+    for (const counter of COUNTERS) job[counter] = parseInt(raw[counter]) || 0;
+    return job;
+  }
+
+  /**
+   * Most recent jobs, newest first
+   * @param {number} [limit]
+   * @returns {Promise<Object[]>}
+   */
+  async listJobs(limit = 20) {
+    const ids = await this.redis.lrange(JOBS_KEY, 0, limit - 1);
+    const jobs = await Promise.all(ids.map((id) => this.getJob(id)));
+    return jobs.filter(Boolean);
+  }
+
+  /**
+   * The last job to finish, or null
+   * @returns {Promise<Object|null>}
+   */
+  async getLastRun() {
+    const id = await this.redis.get(LAST_RUN_KEY);
+    return id ? this.getJob(id) : null;
+  }
+
+  /**
+   * Enabled sources whose fetch interval has elapsed since their last run
+   * @returns {Promise<Object[]>}
+   */
+  async getDueSources() {
+    const sources = await sourceRegistry.listEnabled();
+    if (sources.length === 0) return [];
+
+    const lastRuns = await this.redis.mget(
+      sources.map((source) => sourceRunKey(source.id))
+    );
+    const now = Date.now();
+
+    return sources.filter((source, i) => {
+      const lastRun = lastRuns[i] ? Date.parse(lastRuns[i]) : 0;
+      return now - lastRun >= source.fetchIntervalMinutes * 60 * 1000;
+    });
+  }
+
+  async tick() {
+    try {
+      const due = await this.getDueSources();
+      if (due.length === 0) return;
+
+      await this.start({
+        sourceIds: due.map((source) => source.id),
+        limit: this.scheduledLimit,
+        trigger: "schedule",
+      });
+    } catch (err) {
+      if (err.status === 409) {
+        logger.debug("Scheduled ingestion skipped: another job is running");
+      } else {
+        logger.error(`Scheduled ingestion failed: ${err.message}`);
+      }
+    }
+  }
+
+  startScheduler() {
+    if (this.timer) return;
+    this.timer = setInterval(() => this.tick(), this.tickMs);
+    this.timer.unref();
+    logger.info(`Ingestion scheduler started (tick every ${this.tickMs}ms)`);
+  }
+
+  stopScheduler() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  get schedulerRunning() {
+    return this.timer !== null;
+  }
+}
+
+module.exports = {
+  IngestionJobRunner,
+  ingestionRunner: new IngestionJobRunner(),
+};
@@ -0,0 +1,80 @@
+const mockRedis = {
+  hashes: new Map(),
+  lockHolder: null,
+  set: jest.fn(async (key, value, ...args) => {
+    if (key !== "ingest:lock") return "OK";
+    if (args.includes("NX") && mockRedis.lockHolder) return null;
+    mockRedis.lockHolder = value;
+    return "OK";
+  }),
+  eval: jest.fn(async (script, _keys, _key, holder) =>
+    mockRedis.lockHolder === holder ? 1 : 0
+  ),
+  hset: jest.fn(async (key, fields) => {
+    mockRedis.hashes.set(key, { ...mockRedis.hashes.get(key), ...fields });
+  }),
+  hincrby: jest.fn(async (key, field, by) => {
+    const hash = mockRedis.hashes.get(key) || {};
+    hash[field] = (parseInt(hash[field]) || 0) + by;
+    mockRedis.hashes.set(key, hash);
+  }),
+  hgetall: jest.fn(async (key) => ({ ...mockRedis.hashes.get(key) })),
+  expire: jest.fn(),
+  mset: jest.fn(),
+  multi: () => {
+    const chain = { lpush: () => chain, ltrim: () => chain, exec: jest.fn() };
+    return chain;
+  },
+};
+
+jest.mock("../config/database", () => ({ redis: mockRedis }));
+jest.mock("./newsIngestion", () => ({ fetchNewsArticles: jest.fn() }));
+jest.mock("./sourceRegistry", () => ({
+  sourceRegistry: { listEnabled: async () => [{ id: "bbc-news" }] },
+}));
+
+const { fetchNewsArticles } = require("./newsIngestion");
+const { IngestionJobRunner } = require("./ingestionJobs");
+
+const article = { link: "https://example.com/a", content: "Body" };
+
+describe("IngestionJobRunner", () => {
+  let indexer;
+  let runner;
+
+  beforeEach(() => {
+    mockRedis.hashes.clear();
+    mockRedis.lockHolder = null;
+    indexer = { indexArticle: jest.fn(async () => ({ stored: 2 })) };
+    runner = new IngestionJobRunner({ indexer });
+    runner.lockTtlMs = 3000;
+  });
+
+  test("renews the lock during a slow fetch and completes", async () => {
+    fetchNewsArticles.mockImplementation(async () => {
+      await new Promise((resolve) => setTimeout(resolve, 1100));
+      return [article];
+    });
+
+    const job = await runner.run();
+
+    expect(job).toMatchObject({ status: "completed", embedded: 1, chunks: 2 });
+    expect(mockRedis.eval.mock.calls.length).toBeGreaterThan(2);
+  });
+
+  test("fails without indexing once another job holds the lock", async () => {
+    fetchNewsArticles.mockImplementation(async () => {
+      mockRedis.lockHolder = "other-job";
+      await new Promise((resolve) => setTimeout(resolve, 1100));
+      return [article];
+    });
+
+    const job = await runner.run();
+
+    expect(job).toMatchObject({
+      status: "failed",
+      error: "Lost ingestion lock",
+    });
+    expect(indexer.indexArticle).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,186 @@
+// src/services/lexicalIndex.js
+const database = require("../config/database");
+const { tokenize } = require("../utils/tokenize");
+
+const STATS_KEY = "bm25:stats";
+const LENGTHS_KEY = "bm25:doclen";
+const termKey = (term) => `bm25:term:${term}`;
+const docKey = (id) => `bm25:doc:${id}`;
+
+/**
+ * BM25 inverted index over chunk text, stored in Redis
+ *
+ * bm25:term:<term>  hash  pointId → term frequency (postings)
+ * bm25:doc:<id>     hash  term → term frequency (for removal)
+ * bm25:doclen       hash  pointId → token count
+ * bm25:stats        hash  docs, tokens
+ *
+ * Keys use the Qdrant point ID, so lexical hits join back to vector payloads.
+ */
+class LexicalIndex {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.k1] - Term frequency saturation
+   * @param {number} [options.b] - Length normalisation
+   * @param {number} [options.maxPostings] - Terms in more documents than this are ignored at query time
+   */
+  constructor({
+    k1 = 1.2,
+    b = 0.75,
+    maxPostings = parseInt(process.env.LEXICAL_MAX_POSTINGS) || 20000,
+  } = {}) {
+    this.k1 = k1;
+    this.b = b;
+    this.maxPostings = maxPostings;
+  }
+
+  get redis() {
+    return database.redis;
+  }
+
+  termFrequencies(text) {
+    const counts = new Map();
+    for (const term of tokenize(text || "")) {
+      counts.set(term, (counts.get(term) || 0) + 1);
+    }
+    return counts;
+  }
+
+  /**
+   * Add or replace documents in the index
+   * @param {Array<{id: string, text: string}>} docs
+   */
+  async addDocuments(docs) {
+    if (docs.length === 0) return;
+    await this.removeDocuments(docs.map((doc) => doc.id));
+
+    const pipeline = this.redis.pipeline();
+    let tokens = 0;
+
+    for (const doc of docs) {
+      const counts = this.termFrequencies(doc.text);
+      const length = [...counts.values()].reduce((sum, n) => sum + n, 0);
+      tokens += length;
+
+      for (const [term, tf] of counts) {
+        pipeline.hset(termKey(term), doc.id, tf);
+      }
+      if (counts.size)
+        pipeline.hset(docKey(doc.id), Object.fromEntries(counts));
+      pipeline.hset(LENGTHS_KEY, doc.id, length);
+    }
+
+    pipeline.hincrby(STATS_KEY, "docs", docs.length);
+    pipeline.hincrby(STATS_KEY, "tokens", tokens);
+    await pipeline.exec();
+  }
+
+  /**
+   * Remove documents from the index; unknown IDs are ignored
+   * @param {string[]} ids
+   */
+  async removeDocuments(ids) {
+    if (ids.length === 0) return;
+
+    const lookup = this.redis.pipeline();
+    for (const id of ids) {
+      lookup.hgetall(docKey(id));
+      lookup.hget(LENGTHS_KEY, id);
+    }
+    const results = await lookup.exec();
+
+    const pipeline = this.redis.pipeline();
+    let removedDocs = 0;
+    let removedTokens = 0;
+
+    ids.forEach((id, i) => {
+      const terms = results[i * 2][1] || {};
+      const length = results[i * 2 + 1][1];
+      if (length === null) return;
+
+      removedDocs++;
+      removedTokens += parseInt(length) || 0;
+      for (const term of Object.keys(terms)) {
+        pipeline.hdel(termKey(term), id);
+      }
+      pipeline.del(docKey(id));
+      pipeline.hdel(LENGTHS_KEY, id);
+    });
+
+    if (removedDocs === 0) return;
+    pipeline.hincrby(STATS_KEY, "docs", -removedDocs);
+    pipeline.hincrby(STATS_KEY, "tokens", -removedTokens);
+    await pipeline.exec();
+  }
+
+  /**
+   * Rank documents against a query with BM25
+   * @param {string} query
+   * @param {number} [limit]
+   *
+   * `normalizedScore` divides by the best score any document could reach for
+   * the query, so it is comparable across queries; query terms missing from
+   * the index lower it.
+   * @returns {Promise<Array<{id: string, score: number, normalizedScore: number}>>} Best first
+   */
+  async search(query, limit = 50) {
+    const terms = [...new Set(tokenize(query || ""))];
+    if (terms.length === 0) return [];
+
+    const stats = await this.redis.hgetall(STATS_KEY);
+    const docCount = parseInt(stats.docs) || 0;
+    if (docCount === 0) return [];
+    const avgLength = (parseInt(stats.tokens) || 0) / docCount || 1;
+
+    // Skip near-universal terms without pulling their postings
+    const sizes = await Promise.all(
+      terms.map((term) => this.redis.hlen(termKey(term)))
+    );
+    const usable = terms.filter(
+      (_, i) => sizes[i] > 0 && sizes[i] <= this.maxPostings
+    );
+    if (usable.length === 0) return [];
+
+    const idf = (df) => Math.log(1 + (docCount - df + 0.5) / (df + 0.5));
+    // Upper bound of a document's score (tf → ∞ for every counted term)
+    const maxScore = sizes.reduce(
+      (sum, df) =>
+        df <= this.maxPostings ? sum + idf(df) * (this.k1 + 1) : sum,
+      0
+    );
+
+    const postings = await Promise.all(
+      usable.map((term) => this.redis.hgetall(termKey(term)))
+    );
+
+    const candidates = [...new Set(postings.flatMap(Object.keys))];
+    const lengths = await this.redis.hmget(LENGTHS_KEY, ...candidates);
+    const lengthOf = new Map(
+      candidates.map((id, i) => [id, parseInt(lengths[i]) || avgLength])
+    );
+
+    const scores = new Map();
+    postings.forEach((posting) => {
+      const termIdf = idf(Object.keys(posting).length);
+
+      for (const [id, rawTf] of Object.entries(posting)) {
+        const tf = parseInt(rawTf);
+        const norm =
+          this.k1 * (1 - this.b + (this.b * lengthOf.get(id)) / avgLength);
+        const score = (termIdf * tf * (this.k1 + 1)) / (tf + norm);
+        scores.set(id, (scores.get(id) || 0) + score);
+      }
+    });
+
+    return [...scores.entries()]
+      .map(([id, score]) => ({
+        id,
+        score,
+        normalizedScore: maxScore > 0 ? score / maxScore : 0,
+      }))
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit);
+  }
+}
+
+module.exports = LexicalIndex;
@@ -0,0 +1,119 @@
+const mockRedis = {
+  hashes: new Map(),
+  hash(key) {
+    if (!this.hashes.has(key)) this.hashes.set(key, {});
+    return this.hashes.get(key);
+  },
+  hset: async (key, field, value) => {
+    const fields = typeof field === "object" ? field : { [field]: value };
+    for (const [name, v] of Object.entries(fields)) {
+      mockRedis.hash(key)[name] = String(v);
+    }
+  },
+  hget: async (key, field) => mockRedis.hashes.get(key)?.[field] ?? null,
+  hgetall: async (key) => ({ ...mockRedis.hashes.get(key) }),
+  hdel: async (key, field) => {
+    delete mockRedis.hash(key)[field];
+  },
+  del: async (key) => {
+    mockRedis.hashes.delete(key);
+  },
+  hlen: async (key) => Object.keys(mockRedis.hashes.get(key) || {}).length,
+  hmget: async (key, ...fields) =>
+    fields.map((field) => mockRedis.hashes.get(key)?.[field] ?? null),
+  hincrby: async (key, field, by) => {
+    const hash = mockRedis.hash(key);
+    hash[field] = String((parseInt(hash[field]) || 0) + by);
+  },
+  pipeline() {
+    const calls = [];
+    const pipeline = {
+      exec: () =>
+        Promise.all(
+          calls.map(async ([name, args]) => [
+            null,
+            await mockRedis[name](...args),
+          ])
+        ),
+    };
+    for (const name of ["hset", "hget", "hgetall", "hdel", "del", "hincrby"]) {
+      pipeline[name] = (...args) => {
+        calls.push([name, args]);
+        return pipeline;
+      };
+    }
+    return pipeline;
+  },
+};
+
+jest.mock("../config/database", () => ({ redis: mockRedis }));
+
+const LexicalIndex = require("./lexicalIndex");
+
+// Three documents of 3, 4 and 2 tokens: 3 docs, average length 3
+const docs = [
+  { id: "a", text: "Inflation rates rise" },
+  { id: "b", text: "Rates fall, rates fall" },
+  { id: "c", text: "Football results" },
+];
+
+describe("LexicalIndex", () => {
+  let index;
+
+  beforeEach(async () => {
+    mockRedis.hashes.clear();
+    index = new LexicalIndex({ k1: 1.2, b: 0.75 });
+    await index.addDocuments(docs);
+  });
+
+  test("scores documents with BM25, best first", async () => {
+    const idf = (df) => Math.log(1 + (3 - df + 0.5) / (df + 0.5));
+    // "a" has average length, so each term scores exactly its idf
+    const scoreA = idf(1) + idf(2);
+    // "b" has "rates" twice in a 4-token document
+    const normB = 1.2 * (1 - 0.75 + (0.75 * 4) / 3);
+    const scoreB = (idf(2) * 2 * 2.2) / (2 + normB);
+    const maxScore = (idf(1) + idf(2)) * 2.2;
+
+    const results = await index.search("the inflation rates");
+
+    expect(results.map((r) => r.id)).toEqual(["a", "b"]);
+    expect(results[0].score).toBeCloseTo(scoreA, 10);
+    expect(results[1].score).toBeCloseTo(scoreB, 10);
+    expect(results[0].normalizedScore).toBeCloseTo(scoreA / maxScore, 10);
+    expect(results[1].normalizedScore).toBeCloseTo(scoreB / maxScore, 10);
+  });
+
+  test("counts query terms missing from the index against normalizedScore", async () => {
+    const [alone] = await index.search("football");
+    const [withMissing] = await index.search("football transfers");
+
+    expect(withMissing.score).toBeCloseTo(alone.score, 10);
+    expect(withMissing.normalizedScore).toBeLessThan(alone.normalizedScore);
+  });
+
+  test("ignores terms in more documents than maxPostings", async () => {
+    index.maxPostings = 1;
+
+    const results = await index.search("inflation rates");
+
+    expect(results.map((r) => r.id)).toEqual(["a"]);
+    expect(results[0].normalizedScore).toBeCloseTo(1 / 2.2, 10);
+  });
+
+  test("replaces and removes documents along with their stats", async () => {
+    await index.addDocuments([{ id: "a", text: "Football" }]);
+    expect(mockRedis.hashes.get("bm25:stats")).toEqual({
+      docs: "3",
+      tokens: "7",
+    });
+    expect((await index.search("inflation")).map((r) => r.id)).toEqual([]);
+
+    await index.removeDocuments(["b", "missing"]);
+    expect(mockRedis.hashes.get("bm25:stats")).toEqual({
+      docs: "2",
+      tokens: "3",
+    });
+    expect(await index.search("rates")).toEqual([]);
+  });
+});
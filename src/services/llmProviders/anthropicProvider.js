@@ -0,0 +1,166 @@
+// src/services/llmProviders/anthropicProvider.js
+const fetch = require("node-fetch");
+const { readSSE, httpError } = require("./sse");
+const { estimateMessageTokens } = require("../../utils/tokens");
+
+/**
+ * Anthropic Messages API (and servers that mimic it)
+ */
+class AnthropicProvider {
+  /**
+   * @param {Object} options
+   * @param {string} options.apiKey
+   * @param {string} [options.model]
+   * @param {string} [options.baseUrl]
+   */
+  constructor({
+    apiKey,
+    model = "claude-3-5-haiku-latest",
+    baseUrl = "https://api.anthropic.com/v1",
+  }) {
+    if (!apiKey) {
+      throw new Error("ANTHROPIC_API_KEY environment variable is required");
+    }
+
+    this.name = "anthropic";
+    this.apiKey = apiKey;
+    this.model = model;
+    this.baseUrl = baseUrl.replace(/\/+$/, "");
+  }
+
+  getHeaders() {
+    return {
+      "Content-Type": "application/json",
+      "x-api-key": this.apiKey,
+      "anthropic-version": "2023-06-01",
+    };
+  }
+
+  buildBody({ system, messages, temperature, maxTokens }, stream) {
+    const body = {
+      model: this.model,
+      messages: messages.map((msg) => ({
+        role: msg.role === "assistant" ? "assistant" : "user",
+        content: msg.content,
+      })),
+      max_tokens: maxTokens,
+      temperature,
+      stream,
+    };
+    if (system) body.system = system;
+    return body;
+  }
+
+  /**
+   * @param {Object} request - {system, messages, temperature, maxTokens, signal}
+   * @returns {Promise<{text: string, finishReason: string, blocked: boolean, usage: Object}>}
+   */
+  async generate(request) {
+    const response = await fetch(`${this.baseUrl}/messages`, {
+      method: "POST",
+      headers: this.getHeaders(),
+      body: JSON.stringify(this.buildBody(request, false)),
+      signal: request.signal,
+    });
+
+    if (!response.ok) throw await httpError("Anthropic", response);
+
+    const data = await response.json();
+    if (!Array.isArray(data.content)) {
+      throw new Error("Invalid response format from Anthropic API");
+    }
+
+    return {
+      text: data.content
+        .filter((block) => block.type === "text")
+        .map((block) => block.text)
+        .join(""),
+      finishReason: data.stop_reason || null,
+      blocked: data.stop_reason === "refusal",
+      usage: data.usage || null,
+    };
+  }
+
+  /**
+   * @param {Object} request - {system, messages, temperature, maxTokens, signal}
+   * @returns {AsyncGenerator<{type: string}>} `text` events followed by one `finish` event
+   */
+  async *stream(request) {
+    const finish = {
+      type: "finish",
+      finishReason: null,
+      blocked: false,
+      blockReason: null,
+      safetyRatings: [],
+      usage: null,
+    };
+
+    const response = await fetch(`${this.baseUrl}/messages`, {
+      method: "POST",
+      headers: this.getHeaders(),
+      body: JSON.stringify(this.buildBody(request, true)),
+      signal: request.signal,
+    });
+
+    if (!response.ok) throw await httpError("Anthropic", response);
+
+    for await (const { data } of readSSE(response.body)) {
+      const event = JSON.parse(data);
+
+      switch (event.type) {
+        case "message_start":
+          finish.usage = event.message?.usage || null;
+          break;
+        case "content_block_delta":
+          if (event.delta?.type === "text_delta" && event.delta.text) {
+            yield { type: "text", text: event.delta.text };
+          }
+          break;
+        case "message_delta":
+          if (event.delta?.stop_reason) {
+            finish.finishReason = event.delta.stop_reason;
+            if (event.delta.stop_reason === "refusal") {
+              finish.blocked = true;
+              finish.blockReason = "refusal";
+            }
+          }
+          if (event.usage) finish.usage = { ...finish.usage, ...event.usage };
+          break;
+        case "error": {
+          const error = new Error(
+            `Anthropic stream error: ${event.error?.message || "unknown"}`
+          );
+          error.status = event.error?.type === "overloaded_error" ? 529 : 500;
+          throw error;
+        }
+        default:
+          break;
+      }
+    }
+
+    yield finish;
+  }
+
+  /**
+   * Count prompt tokens with the count_tokens endpoint, estimating on failure
+   * @param {{system?: string, messages: Array}} request
+   * @returns {Promise<number>}
+   */
+  async countTokens(request) {
+    try {
+      const { model, messages, system } = this.buildBody(request, false);
+      const response = await fetch(`${this.baseUrl}/messages/count_tokens`, {
+        method: "POST",
+        headers: this.getHeaders(),
+        body: JSON.stringify({ model, messages, system }),
+      });
+      if (!response.ok) throw await httpError("Anthropic", response);
+      const data = await response.json();
+      return data.input_tokens;
+    } catch {
+      return estimateMessageTokens(request);
+    }
+  }
+}
+
+module.exports = AnthropicProvider;
@@ -0,0 +1,191 @@
+// src/services/llmProviders/geminiProvider.js
+const fetch = require("node-fetch");
+const { readSSE, httpError } = require("./sse");
+const { estimateMessageTokens } = require("../../utils/tokens");
+
+// Finish reasons that mean the output was withheld rather than completed
+const BLOCKED_FINISH_REASONS = [
+  "SAFETY",
+  "RECITATION",
+  "BLOCKLIST",
+  "PROHIBITED_CONTENT",
+  "SPII",
+];
+
+class GeminiProvider {
+  /**
+   * @param {Object} options
+   * @param {string} options.apiKey
+   * @param {string} [options.model]
+   */
+  constructor({ apiKey, model = "gemini-2.0-flash" }) {
+    if (!apiKey) {
+      throw new Error("GEMINI_API_KEY environment variable is required");
+    }
+
+    this.name = "gemini";
+    this.apiKey = apiKey;
+    this.model = model;
+    this.baseUrl = "https://generativelanguage.googleapis.com/v1beta";
+  }
+
+  getHeaders() {
+    return {
+      "Content-Type": "application/json",
+      "X-goog-api-key": this.apiKey, // Correct header
+    };
+  }
+
+  /**
+   * Convert a normalized request into a Gemini request body
+   * @param {Object} request
+   * @returns {Object}
+   */
+  buildBody({ system, messages, temperature, topP, topK, maxTokens }) {
+    const body = {
+      contents: messages.map((msg) => ({
+        role: msg.role === "assistant" ? "model" : "user",
+        parts: [{ text: msg.content }],
+      })),
+      generationConfig: {
+        temperature,
+        topK,
+        topP,
+        maxOutputTokens: maxTokens,
+      },
+    };
+    if (system) body.systemInstruction = { parts: [{ text: system }] };
+    return body;
+  }
+
+  /**
+   * @param {Object} request - {system, messages, temperature, topP, topK, maxTokens, signal}
+   * @returns {Promise<{text: string, finishReason: string, blocked: boolean, usage: Object}>}
+   */
+  async generate(request) {
+    const response = await fetch(
+      `${this.baseUrl}/models/${this.model}:generateContent`,
+      {
+        method: "POST",
+        headers: this.getHeaders(),
+        body: JSON.stringify(this.buildBody(request)),
+        signal: request.signal,
+      }
+    );
+
+    if (!response.ok) throw await httpError("Gemini", response);
+
+    const data = await response.json();
+    const candidate = data.candidates?.[0];
+
+    if (data.promptFeedback?.blockReason && !candidate) {
+      return {
+        text: "",
+        finishReason: data.promptFeedback.blockReason,
+        blocked: true,
+        usage: data.usageMetadata || null,
+      };
+    }
+
+    if (!candidate || !candidate.content) {
+      throw new Error("Invalid response format from Gemini API");
+    }
+
+    return {
+      text: candidate.content.parts.map((part) => part.text || "").join(""),
+      finishReason: candidate.finishReason || null,
+      blocked: BLOCKED_FINISH_REASONS.includes(candidate.finishReason),
+      usage: data.usageMetadata || null,
+    };
+  }
+
+  /**
+   * Stream via streamGenerateContent (Server-Sent Events)
+   * @param {Object} request - {system, messages, temperature, topP, topK, maxTokens, signal}
+   * @returns {AsyncGenerator<{type: string}>} `text` events followed by one `finish` event
+   */
+  async *stream(request) {
+    const finish = {
+      type: "finish",
+      finishReason: null,
+      blocked: false,
+      blockReason: null,
+      safetyRatings: [],
+      usage: null,
+    };
+
+    const response = await fetch(
+      `${this.baseUrl}/models/${this.model}:streamGenerateContent?alt=sse`,
+      {
+        method: "POST",
+        headers: this.getHeaders(),
+        body: JSON.stringify(this.buildBody(request)),
+        signal: request.signal,
+      }
+    );
+
+    if (!response.ok) throw await httpError("Gemini", response);
+
+    for await (const { data } of readSSE(response.body)) {
+      const event = JSON.parse(data);
+
+      if (event.promptFeedback?.blockReason) {
+        finish.blocked = true;
+        finish.blockReason = event.promptFeedback.blockReason;
+        finish.safetyRatings = event.promptFeedback.safetyRatings || [];
+      }
+      if (event.usageMetadata) finish.usage = event.usageMetadata;
+
+      const candidate = event.candidates?.[0];
+      if (!candidate) continue;
+
+      const text = (candidate.content?.parts || [])
+        .map((part) => part.text || "")
+        .join("");
+      if (text) yield { type: "text", text };
+
+      if (candidate.finishReason) {
+        finish.finishReason = candidate.finishReason;
+        finish.safetyRatings = candidate.safetyRatings || [];
+        if (BLOCKED_FINISH_REASONS.includes(candidate.finishReason)) {
+          finish.blocked = true;
+          finish.blockReason = candidate.finishReason;
+        }
+      }
+    }
+
+    yield finish;
+  }
+
+  /**
+   * Count prompt tokens with the countTokens endpoint, estimating on failure
+   * @param {{system?: string, messages: Array}} request
+   * @returns {Promise<number>}
+   */
+  async countTokens(request) {
+    try {
+      const { contents, systemInstruction } = this.buildBody(request);
+      const response = await fetch(
+        `${this.baseUrl}/models/${this.model}:countTokens`,
+        {
+          method: "POST",
+          headers: this.getHeaders(),
+          body: JSON.stringify({
+            generateContentRequest: {
+              model: `models/${this.model}`,
+              contents,
+              systemInstruction,
+            },
+          }),
+        }
+      );
+      if (!response.ok) throw await httpError("Gemini", response);
+      const data = await response.json();
+      return data.totalTokens;
+    } catch {
+      return estimateMessageTokens(request);
+    }
+  }
+}
+
+module.exports = GeminiProvider;
@@ -0,0 +1,121 @@
+// src/services/llmProviders/index.js
+const GeminiProvider = require("./geminiProvider");
+const OpenAICompatibleProvider = require("./openaiProvider");
+const AnthropicProvider = require("./anthropicProvider");
+const MockProvider = require("./mockProvider");
+
+const PROVIDER_NAMES = ["gemini", "openai", "anthropic", "mock"];
+
+// Providers are stateless apart from configuration, so share them per provider/model
+const providerCache = new Map();
+
+/**
+ * Build an LLM provider from configuration
+ *
+ * Every provider exposes `name`, `model`, `generate(request)`,
+ * `stream(request)` and `countTokens(request)`, where a request is
+ * `{system, messages: [{role: "user"|"assistant", content}], temperature,
+ * topP, topK, maxTokens, task, signal}`.
+ * @param {Object} [overrides] - `{provider, model}` chosen per request
+ * @param {Object} [env] - Defaults to process.env
+ * @returns {Object}
+ */
+function createLLMProvider({ provider, model } = {}, env = process.env) {
+  const defaultName = (env.LLM_PROVIDER || "gemini").toLowerCase();
+  const name = (provider || defaultName).toLowerCase();
+  // LLM_MODEL names a model of LLM_PROVIDER; other providers use their own default
+  const modelName =
+    model || (name === defaultName ? env.LLM_MODEL : undefined) || undefined;
+
+  switch (name) {
+    case "gemini":
+      return new GeminiProvider({
+        apiKey: env.GEMINI_API_KEY,
+        model: modelName,
+      });
+    case "openai":
+      return new OpenAICompatibleProvider({
+        baseUrl: env.LLM_BASE_URL || undefined,
+        apiKey: env.OPENAI_API_KEY,
+        model: modelName,
+      });
+    case "anthropic":
+      return new AnthropicProvider({
+        apiKey: env.ANTHROPIC_API_KEY,
+        baseUrl: env.ANTHROPIC_BASE_URL || undefined,
+        model: modelName,
+      });
+    case "mock":
+      return new MockProvider({
+        model: modelName,
+        script: env.LLM_MOCK_SCRIPT || [],
+        delayMs: parseInt(env.LLM_MOCK_DELAY_MS) || 0,
+      });
+    default:
+      throw new Error(`Unknown LLM provider: ${name}`);
+  }
+}
+
+/**
+ * Models a request may select: LLM_ALLOWED_MODELS (comma-separated) plus LLM_MODEL
+ * @param {Object} [env] - Defaults to process.env
+ * @returns {Set<string>}
+ */
+function allowedModels(env = process.env) {
+  return new Set(
+    [...(env.LLM_ALLOWED_MODELS || "").split(","), env.LLM_MODEL || ""]
+      .map((model) => model.trim())
+      .filter(Boolean)
+  );
+}
+
+/**
+ * Check a per-request `{provider, model}` override before it reaches a
+ * provider; models end up in request URLs and provider instances are cached,
+ * so only configured values are accepted
+ * @param {Object} overrides - `{provider, model}`
+ * @param {Object} [env] - Defaults to process.env
+ * @throws {Error} With `status` 400 when either value is not allowed
+ */
+function validateLLMOverride({ provider, model } = {}, env = process.env) {
+  if (provider && !PROVIDER_NAMES.includes(provider)) {
+    const error = new Error(
+      `Unknown LLM provider. Use one of: ${PROVIDER_NAMES.join(", ")}`
+    );
+    error.status = 400;
+    throw error;
+  }
+
+  if (model && !allowedModels(env).has(model)) {
+    const allowed = [...allowedModels(env)];
+    const error = new Error(
+      allowed.length
+        ? `Model not allowed. Use one of: ${allowed.join(", ")}`
+        : "Per-request model selection is not configured"
+    );
+    error.status = 400;
+    throw error;
+  }
+}
+
+/**
+ * Shared provider for the environment, or for a per-request override
+ *
+ * Overrides must pass validateLLMOverride first, which keeps the cache bounded.
+ * @param {Object} [overrides] - `{provider, model}`
+ * @returns {Object}
+ */
+function getLLMProvider(overrides = {}) {
+  const key = `${overrides.provider || ""}:${overrides.model || ""}`;
+  if (!providerCache.has(key)) {
+    providerCache.set(key, createLLMProvider(overrides));
+  }
+  return providerCache.get(key);
+}
+
+module.exports = {
+  PROVIDER_NAMES,
+  createLLMProvider,
+  getLLMProvider,
+  validateLLMOverride,
+};
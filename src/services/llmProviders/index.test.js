@@ -0,0 +1,68 @@
+const { createLLMProvider, validateLLMOverride } = require("./index");
+
+describe("validateLLMOverride", () => {
+  const env = {
+    LLM_MODEL: "gemini-2.0-flash",
+    LLM_ALLOWED_MODELS: "gpt-4o-mini, mock-echo",
+  };
+
+  test("accepts known providers and allowed models", () => {
+    expect(() => validateLLMOverride({ provider: "mock" }, env)).not.toThrow();
+    expect(() =>
+      validateLLMOverride({ provider: "openai", model: "gpt-4o-mini" }, env)
+    ).not.toThrow();
+    expect(() =>
+      validateLLMOverride({ model: "gemini-2.0-flash" }, env)
+    ).not.toThrow();
+  });
+
+  test("rejects unknown providers with 400", () => {
+    expect(() => validateLLMOverride({ provider: "other" }, env)).toThrow(
+      expect.objectContaining({ status: 400 })
+    );
+  });
+
+  test("rejects models outside the allowlist with 400", () => {
+    expect(() =>
+      validateLLMOverride({ model: "../../v1/files?x=" }, env)
+    ).toThrow(expect.objectContaining({ status: 400 }));
+    expect(() => validateLLMOverride({ model: "gpt-4o" }, {})).toThrow(
+      "Per-request model selection is not configured"
+    );
+  });
+});
+
+describe("createLLMProvider", () => {
+  const env = { LLM_PROVIDER: "gemini", LLM_MODEL: "gemini-2.0-flash" };
+
+  test("uses LLM_MODEL for the configured provider", () => {
+    expect(
+      createLLMProvider(
+        { provider: "gemini" },
+        {
+          ...env,
+          GEMINI_API_KEY: "key",
+        }
+      ).model
+    ).toBe("gemini-2.0-flash");
+  });
+
+  test("uses the provider's own default model for a provider-only override", () => {
+    const provider = createLLMProvider(
+      { provider: "anthropic" },
+      { ...env, ANTHROPIC_API_KEY: "key" }
+    );
+
+    expect(provider.name).toBe("anthropic");
+    expect(provider.model).toBe("claude-3-5-haiku-latest");
+    expect(createLLMProvider({ provider: "mock" }, env).model).toBe(
+      "mock-echo"
+    );
+  });
+
+  test("keeps an explicitly requested model", () => {
+    expect(
+      createLLMProvider({ provider: "mock", model: "mock-large" }, env).model
+    ).toBe("mock-large");
+  });
+});
@@ -0,0 +1,107 @@
+// src/services/llmProviders/mockProvider.js
+const fs = require("fs");
+const { estimateMessageTokens } = require("../../utils/tokens");
+
+// Answers for LLMService's internal tasks so the pipeline behaves sensibly
+const DEFAULT_TASK_RESPONSES = {
+  classify: "NEWS",
+  expand: "",
+  rewrite: "",
+  summarize: "",
+  title: "",
+};
+
+/**
+ * Deterministic provider for CI and local development without API keys
+ *
+ * Responses come from a script of rules, checked in order:
+ *   [{ "task": "answer", "match": "election", "response": "..." }, ...]
+ * `task` and `match` (a case-insensitive regex against the last user
+ * message) are both optional. When nothing matches, internal tasks get a
+ * neutral default and everything else is echoed back.
+ */
+class MockProvider {
+  /**
+   * @param {Object} options
+   * @param {string} [options.model]
+   * @param {Array|string} [options.script] - Rules, or a path to a JSON file of rules
+   * @param {number} [options.delayMs] - Delay between streamed words
+   */
+  constructor({ model = "mock-echo", script = [], delayMs = 0 } = {}) {
+    this.name = "mock";
+    this.model = model;
+    this.delayMs = delayMs;
+    this.rules = (
+      typeof script === "string"
+        ? JSON.parse(fs.readFileSync(script, "utf8"))
+        : script
+    ).map((rule) => ({
+      ...rule,
+      pattern: rule.match ? new RegExp(rule.match, "i") : null,
+    }));
+  }
+
+  respond({ task, messages }) {
+    const lastUser =
+      [...messages].reverse().find((msg) => msg.role === "user")?.content || "";
+
+    const rule = this.rules.find(
+      (r) =>
+        (!r.task || r.task === task) && (!r.pattern || r.pattern.test(lastUser))
+    );
+    if (rule) return rule.response;
+
+    if (task in DEFAULT_TASK_RESPONSES) return DEFAULT_TASK_RESPONSES[task];
+    return `[${this.model}] ${lastUser}`;
+  }
+
+  /**
+   * @param {Object} request - {system, messages, task}
+   * @returns {Promise<{text: string, finishReason: string, blocked: boolean, usage: Object}>}
+   */
+  async generate(request) {
+    const text = this.respond(request);
+    return {
+      text,
+      finishReason: "STOP",
+      blocked: false,
+      usage: { promptTokens: estimateMessageTokens(request) },
+    };
+  }
+
+  /**
+   * Streams the scripted response word by word
+   * @param {Object} request - {system, messages, task, signal}
+   * @returns {AsyncGenerator<{type: string}>}
+   */
+  async *stream(request) {
+    const words = this.respond(request).split(/(?<=\s)/);
+
+    for (const word of words) {
+      if (request.signal?.aborted) {
+        const error = new Error("The operation was aborted.");
+        error.name = "AbortError";
+        throw error;
+      }
+      if (this.delayMs) {
+        await new Promise((resolve) => setTimeout(resolve, this.delayMs));
+      }
+      yield { type: "text", text: word };
+    }
+
+    yield {
+      type: "finish",
+      finishReason: "STOP",
+      blocked: false,
+      blockReason: null,
+      safetyRatings: [],
+      usage: null,
+    };
+  }
+
+  async countTokens(request) {
+    return estimateMessageTokens(request);
+  }
+}
+
+module.exports = MockProvider;
@@ -0,0 +1,83 @@
+const MockProvider = require("./mockProvider");
+
+const user = (content) => ({ messages: [{ role: "user", content }] });
+
+describe("MockProvider", () => {
+  test("echoes the last user message when no rule matches", async () => {
+    const provider = new MockProvider();
+
+    const result = await provider.generate({ task: "answer", ...user("Hi") });
+
+    expect(result.text).toBe("[mock-echo] Hi");
+    expect(result.finishReason).toBe("STOP");
+  });
+
+  test("returns neutral defaults for internal tasks", async () => {
+    const provider = new MockProvider();
+
+    expect(
+      (await provider.generate({ task: "classify", ...user("x") })).text
+    ).toBe("NEWS");
+    expect(
+      (await provider.generate({ task: "rewrite", ...user("x") })).text
+    ).toBe("");
+  });
+
+  test("applies the first rule matching task and message", async () => {
+    const provider = new MockProvider({
+      script: [
+        { task: "classify", response: "GENERAL" },
+        { match: "election", response: "Election answer" },
+        { response: "Catch-all" },
+      ],
+    });
+
+    expect(
+      (
+        await provider.generate({
+          task: "answer",
+          ...user("The ELECTION results"),
+        })
+      ).text
+    ).toBe("Election answer");
+    expect(
+      (await provider.generate({ task: "classify", ...user("x") })).text
+    ).toBe("GENERAL");
+    expect(
+      (await provider.generate({ task: "answer", ...user("x") })).text
+    ).toBe("Catch-all");
+  });
+
+  test("streams the response word by word and finishes", async () => {
+    const provider = new MockProvider({
+      script: [{ response: "one two three" }],
+    });
+
+    const events = [];
+    for await (const event of provider.stream(user("x"))) events.push(event);
+
+    expect(events.filter((e) => e.type === "text").map((e) => e.text)).toEqual([
+      "one ",
+      "two ",
+      "three",
+    ]);
+    expect(events[events.length - 1]).toMatchObject({
+      type: "finish",
+      finishReason: "STOP",
+    });
+  });
+
+  test("stops streaming once the signal is aborted", async () => {
+    const provider = new MockProvider({ script: [{ response: "one two" }] });
+    const controller = new AbortController();
+
+    const iterator = provider.stream({
+      ...user("x"),
+      signal: controller.signal,
+    });
+    await iterator.next();
+    controller.abort();
+
+    await expect(iterator.next()).rejects.toMatchObject({ name: "AbortError" });
+  });
+});
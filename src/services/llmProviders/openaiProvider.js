@@ -0,0 +1,133 @@
+// src/services/llmProviders/openaiProvider.js
+const fetch = require("node-fetch");
+const { readSSE, httpError } = require("./sse");
+const { estimateMessageTokens } = require("../../utils/tokens");
+
+/**
+ * Any server exposing the OpenAI `/v1/chat/completions` API
+ * (OpenAI, Ollama, llama.cpp server, vLLM, LM Studio...)
+ */
+class OpenAICompatibleProvider {
+  /**
+   * @param {Object} options
+   * @param {string} [options.baseUrl]
+   * @param {string} [options.apiKey] - Omitted for local servers
+   * @param {string} options.model
+   */
+  constructor({ baseUrl = "https://api.openai.com/v1", apiKey, model }) {
+    if (!model) {
+      throw new Error("LLM_MODEL is required for the openai provider");
+    }
+
+    this.name = "openai";
+    this.baseUrl = baseUrl.replace(/\/+$/, "");
+    this.apiKey = apiKey;
+    this.model = model;
+  }
+
+  getHeaders() {
+    const headers = { "Content-Type": "application/json" };
+    if (this.apiKey) headers.Authorization = `Bearer ${this.apiKey}`;
+    return headers;
+  }
+
+  buildBody({ system, messages, temperature, topP, maxTokens }, stream) {
+    return {
+      model: this.model,
+      messages: [
+        ...(system ? [{ role: "system", content: system }] : []),
+        ...messages.map((msg) => ({ role: msg.role, content: msg.content })),
+      ],
+      temperature,
+      top_p: topP,
+      max_tokens: maxTokens,
+      stream,
+    };
+  }
+
+  /**
+   * @param {Object} request - {system, messages, temperature, topP, maxTokens, signal}
+   * @returns {Promise<{text: string, finishReason: string, blocked: boolean, usage: Object}>}
+   */
+  async generate(request) {
+    const response = await fetch(`${this.baseUrl}/chat/completions`, {
+      method: "POST",
+      headers: this.getHeaders(),
+      body: JSON.stringify(this.buildBody(request, false)),
+      signal: request.signal,
+    });
+
+    if (!response.ok) throw await httpError("OpenAI", response);
+
+    const data = await response.json();
+    const choice = data.choices?.[0];
+    if (!choice || !choice.message) {
+      throw new Error("Invalid response format from OpenAI-compatible API");
+    }
+
+    return {
+      text: choice.message.content || "",
+      finishReason: choice.finish_reason || null,
+      blocked: choice.finish_reason === "content_filter",
+      usage: data.usage || null,
+    };
+  }
+
+  /**
+   * @param {Object} request - {system, messages, temperature, topP, maxTokens, signal}
+   * @returns {AsyncGenerator<{type: string}>} `text` events followed by one `finish` event
+   */
+  async *stream(request) {
+    const finish = {
+      type: "finish",
+      finishReason: null,
+      blocked: false,
+      blockReason: null,
+      safetyRatings: [],
+      usage: null,
+    };
+
+    const response = await fetch(`${this.baseUrl}/chat/completions`, {
+      method: "POST",
+      headers: this.getHeaders(),
+      body: JSON.stringify(this.buildBody(request, true)),
+      signal: request.signal,
+    });
+
+    if (!response.ok) throw await httpError("OpenAI", response);
+
+    for await (const { data } of readSSE(response.body)) {
+      if (data === "[DONE]") break;
+
+      const event = JSON.parse(data);
+      if (event.usage) finish.usage = event.usage;
+
+      const choice = event.choices?.[0];
+      if (!choice) continue;
+
+      if (choice.delta?.content) {
+        yield { type: "text", text: choice.delta.content };
+      }
+      if (choice.finish_reason) {
+        finish.finishReason = choice.finish_reason;
+        if (choice.finish_reason === "content_filter") {
+          finish.blocked = true;
+          finish.blockReason = "content_filter";
+        }
+      }
+    }
+
+    yield finish;
+  }
+
+  /**
+   * The chat completions API has no token counting endpoint
+   * @param {{system?: string, messages: Array}} request
+   * @returns {Promise<number>}
+   */
+  async countTokens(request) {
+    return estimateMessageTokens(request);
+  }
+}
+
+module.exports = OpenAICompatibleProvider;
@@ -0,0 +1,66 @@
+// src/services/llmProviders/sse.js
+
+/**
+ * Parse a Server-Sent Events response body into events
+ * @param {NodeJS.ReadableStream} body - node-fetch response body
+ * @returns {AsyncGenerator<{event: string|null, data: string}>}
+ */
+async function* readSSE(body) {
+  // One decoder per stream so multi-byte characters split across network
+  // chunks are reassembled instead of decoded as replacement characters
+  const decoder = new TextDecoder("utf-8");
+  let buffer = "";
+
+  const parseEvent = (rawEvent) => {
+    let event = null;
+    const data = [];
+    for (const line of rawEvent.split(/\r?\n/)) {
+      if (line.startsWith("event:")) event = line.slice(6).trim();
+      else if (line.startsWith("data:")) data.push(line.slice(5).trimStart());
+    }
+    return data.length ? { event, data: data.join("\n") } : null;
+  };
+
+  // SSE events are separated by a blank line
+  function* drainEvents() {
+    let boundary;
+    while ((boundary = buffer.search(/\r?\n\r?\n/)) !== -1) {
+      const rawEvent = buffer.slice(0, boundary);
+      buffer = buffer.slice(boundary).replace(/^\r?\n\r?\n/, "");
+
+      const parsed = parseEvent(rawEvent);
+      if (parsed) yield parsed;
+    }
+  }
+
+  for await (const chunk of body) {
+    buffer += decoder.decode(
+      typeof chunk === "string" ? Buffer.from(chunk) : chunk,
+      { stream: true }
+    );
+    yield* drainEvents();
+  }
+
+  buffer += decoder.decode();
+  yield* drainEvents();
+
+  const trailing = buffer.trim() && parseEvent(buffer);
+  if (trailing) yield trailing;
+}
+
+/**
+ * Build an Error carrying the HTTP status of a failed provider call
+ * @param {string} provider
+ * @param {Object} response - node-fetch response
+ * @returns {Promise<Error>}
+ */
+async function httpError(provider, response) {
+  const errorText = await response.text();
+  const error = new Error(
+    `${provider} API error: ${response.status} - ${errorText}`
+  );
+  error.status = response.status;
+  return error;
+}
+
+module.exports = { readSSE, httpError };
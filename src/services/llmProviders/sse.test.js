@@ -0,0 +1,36 @@
+const { readSSE } = require("./sse");
+
+async function collect(chunks) {
+  const events = [];
+  for await (const event of readSSE(chunks)) events.push(event);
+  return events;
+}
+
+describe("readSSE", () => {
+  test("parses events split across chunks", async () => {
+    const events = await collect([
+      Buffer.from('event: delta\ndata: {"a"'),
+      Buffer.from(":1}\n\ndata: second\r\n\r\n"),
+    ]);
+
+    expect(events).toEqual([
+      { event: "delta", data: '{"a":1}' },
+      { event: null, data: "second" },
+    ]);
+  });
+
+  test("reassembles multi-byte characters split between chunks", async () => {
+    const body = Buffer.from("data: café ☕\n\n", "utf8");
+    const cut = body.indexOf(0xc3) + 1;
+
+    const events = await collect([body.subarray(0, cut), body.subarray(cut)]);
+
+    expect(events).toEqual([{ event: null, data: "café ☕" }]);
+  });
+
+  test("joins multi-line data and yields a trailing event without a blank line", async () => {
+    const events = await collect([Buffer.from("data: one\ndata: two")]);
+
+    expect(events).toEqual([{ event: null, data: "one\ntwo" }]);
+  });
+});
@@ -1,88 +1,577 @@
 // src/services/llmService.js
-const fetch = require("node-fetch");
+const { getLLMProvider } = require("./llmProviders");
+const PromptBuilder = require("./promptBuilder");
+const { parseCitations } = require("../utils/citations");
 const logger = require("../utils/logger");
 
+// Small-talk patterns that never need a retrieval round trip
+const SMALL_TALK_PATTERNS = [
+  /^(hi|hello|hey|yo|hiya|good (morning|afternoon|evening))\b[\s!.?]*$/i,
+  /^(thanks|thank you|thx|cheers|ok|okay|cool|great|bye|goodbye)\b[\s!.?]*$/i,
+  /^(who|what) are you\b/i,
+  /^how are you\b/i,
+];
+
+// Keywords used when the LLM classifier is unavailable
+const NEWS_KEYWORDS = [
+  "news",
+  "latest",
+  "today",
+  "yesterday",
+  "this week",
+  "recent",
+  "update",
+  "happened",
+  "breaking",
+  "report",
+  "election",
+  "government",
+  "minister",
+  "president",
+  "war",
+  "economy",
+  "market",
+  "court",
+  "police",
+  "announced",
+];
+
+// Provider finish reasons for hitting the output token limit
+const TRUNCATED_FINISH_REASONS = ["MAX_TOKENS", "length", "max_tokens"];
+
+const MAX_TITLE_LENGTH = 80;
+
+/**
+ * Title from the user's first message, when the model gives none
+ * @param {string} message
+ * @returns {string}
+ */
+function titleFromMessage(message) {
+  const sentence = message
+    .replace(/\s+/g, " ")
+    .trim()
+    .split(/(?<=[.!?])\s/)[0]
+    .replace(/[.!?]+$/, "");
+
+  let title = sentence;
+  if (title.length > 60) {
+    title = title.slice(0, 60).replace(/\s+\S*$/, "") + "…";
+  }
+  return title.charAt(0).toUpperCase() + title.slice(1);
+}
+
 class LLMService {
-  constructor() {
-    this.apiKey = process.env.GEMINI_API_KEY;
-    this.modelName = "gemini-2.0-flash";
-    this.baseUrl = "https://generativelanguage.googleapis.com/v1beta";
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.provider] - Overrides LLM_PROVIDER
+   * @param {string} [options.model] - Overrides LLM_MODEL
+   * @param {PromptBuilder} [options.promptBuilder]
+   */
+  constructor({ provider, model, promptBuilder } = {}) {
+    this.provider = getLLMProvider({ provider, model });
+    this.promptBuilder = promptBuilder || new PromptBuilder();
+    this.generationConfig = {
+      temperature: 0.7,
+      topK: 40,
+      topP: 0.95,
+      maxTokens: 1024,
+    };
+  }
 
-    if (!this.apiKey) {
-      throw new Error("GEMINI_API_KEY environment variable is required");
-    }
+  get modelName() {
+    return this.provider.model;
+  }
+
+  /**
+   * Run a single completion and return its text
+   * @param {Array<{role: string, content: string}>} messages
+   * @param {Object} options - `system`, `task` and generation config overrides
+   * @returns {Promise<string>}
+   */
+  async complete(messages, { system, task, signal, ...overrides } = {}) {
+    const result = await this.provider.generate({
+      ...this.generationConfig,
+      ...overrides,
+      system,
+      messages,
+      task,
+      signal,
+    });
+    return result.text;
+  }
+
+  /**
+   * Prompt token count for a request, as reported by the provider
+   * @param {{system?: string, messages: Array}} request
+   * @returns {Promise<number>}
+   */
+  async countTokens(request) {
+    return this.provider.countTokens(request);
   }
 
   async generateResponse(prompt, context = []) {
     try {
-      // Prepare context text from retrieved articles
-      const contextText =
-        context.length > 0
-          ? `Based on these recent news articles:\n\n${context
-              .map(
-                (item) =>
-                  `Title: ${item.metadata.title}\nContent: ${item.metadata.content}`
-              )
-              .join("\n\n")}\n\nUser Question: ${prompt}`
-          : prompt;
-
-      const response = await fetch(
-        `${this.baseUrl}/models/${this.modelName}:generateContent`,
+      if (context.length === 0) {
+        return await this.complete([{ role: "user", content: prompt }], {
+          task: "answer",
+        });
+      }
+
+      // Same numbered, citable context as the chat pipeline
+      return (await this.generateRAGResponse(prompt, context)).response;
+    } catch (error) {
+      logger.error("Error generating LLM response:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Decide whether a query should go through the news RAG pipeline
+   * @param {string} query
+   * @returns {Promise<boolean>}
+   */
+  async isNewsRelated(query) {
+    const text = query.trim();
+    if (SMALL_TALK_PATTERNS.some((pattern) => pattern.test(text))) {
+      return false;
+    }
+
+    try {
+      const answer = await this.complete(
+        [{ role: "user", content: `User message: ${text}` }],
+        {
+          task: "classify",
+          system:
+            "Classify the user message. Answer with exactly one word: " +
+            '"NEWS" if answering it would benefit from recent news articles ' +
+            "(current events, people, companies, politics, sport, markets), " +
+            'otherwise "OTHER".',
+          temperature: 0,
+          maxTokens: 5,
+        }
+      );
+
+      return answer.trim().toUpperCase().startsWith("NEWS");
+    } catch (error) {
+      logger.warn("Intent classification failed, using keyword heuristic", {
+        error: error.message,
+      });
+      const lower = text.toLowerCase();
+      return NEWS_KEYWORDS.some((keyword) => lower.includes(keyword));
+    }
+  }
+
+  /**
+   * Expand a query with related search terms to improve retrieval recall
+   * @param {string} query
+   * @returns {Promise<string>} Space-separated extra terms (may be empty)
+   */
+  async expandQuery(query) {
+    try {
+      const answer = await this.complete(
+        [{ role: "user", content: `Question: ${query}` }],
         {
-          method: "POST",
-          headers: {
-            "Content-Type": "application/json",
-            "X-goog-api-key": this.apiKey, // Correct header
-          },
-          body: JSON.stringify({
-            contents: [
-              {
-                parts: [
-                  {
-                    text: contextText,
-                  },
-                ],
-              },
-            ],
-            generationConfig: {
-              temperature: 0.7,
-              topK: 40,
-              topP: 0.95,
-              maxOutputTokens: 1024,
-            },
-          }),
+          task: "expand",
+          system:
+            "Suggest up to 5 additional search keywords (names, places, " +
+            "synonyms) that would help find news articles answering the " +
+            "question. Reply with the keywords only, separated by spaces, " +
+            "no punctuation or explanation.",
+          temperature: 0.2,
+          maxTokens: 40,
         }
       );
 
-      if (!response.ok) {
-        const errorText = await response.text();
-        throw new Error(`Gemini API error: ${response.status} - ${errorText}`);
+      return answer.replace(/[\r\n,]+/g, " ").replace(/\s+/g, " ").trim();
+    } catch (error) {
+      logger.warn("Query expansion failed, using original query", {
+        error: error.message,
+      });
+      return "";
+    }
+  }
+
+  /**
+   * Build the prompt for a RAG answer
+   * @param {string} query
+   * @param {Array} documents - Results from HybridRetriever.retrieve
+   * @param {Array} conversationHistory - Messages not yet covered by the summary
+   * @param {Object} [options]
+   * @param {string} [options.summary] - Rolling summary of earlier turns
+   * @returns {{system: string, messages: Array<{role: string, content: string}>, template: Object, usage: Object}}
+   */
+  buildRAGPrompt(query, documents, conversationHistory = [], { summary } = {}) {
+    return this.promptBuilder.build({
+      template: "rag_answer",
+      query,
+      documents,
+      history: conversationHistory,
+      summary,
+    });
+  }
+
+  /**
+   * Build the prompt for an answer that does not need news articles
+   * @param {string} query
+   * @param {Array} [conversationHistory]
+   * @param {Object} [options]
+   * @param {string} [options.summary]
+   * @returns {{system: string, messages: Array<{role: string, content: string}>, template: Object, usage: Object}}
+   */
+  buildFallbackPrompt(query, conversationHistory = [], { summary } = {}) {
+    return this.promptBuilder.build({
+      template: "fallback",
+      query,
+      history: conversationHistory,
+      summary,
+    });
+  }
+
+  /**
+   * Fold turns that no longer fit the prompt's history budget into the
+   * rolling summary
+   * @param {Array} conversationHistory - Messages not yet covered by `summary`, oldest first
+   * @param {string} [summary] - Current summary
+   * @param {Object} [options]
+   * @param {number} [options.historyBudget] - `usage.historyBudget` of the last
+   *   prompt, which already excludes the summary; turns that documents pushed
+   *   out of the prompt are summarized rather than lost
+   * @returns {Promise<{summary: string, summarizedThrough: string}|null>}
+   *   The new summary and the timestamp of the last message it covers, or
+   *   null when every turn still fits
+   */
+  async updateHistorySummary(
+    conversationHistory,
+    summary = "",
+    { historyBudget } = {}
+  ) {
+    const { older } = this.promptBuilder.selectHistory(
+      conversationHistory,
+      historyBudget === undefined ? { summary } : { budget: historyBudget }
+    );
+    const pending = older.filter((msg) => msg.timestamp && msg.content);
+    if (pending.length === 0) return null;
+
+    const transcript = pending
+      .map(
+        (msg) =>
+          `${msg.role === "assistant" ? "Assistant" : "User"}: ${msg.content}`
+      )
+      .join("\n");
+
+    const prompt = this.promptBuilder.templates.render("summarize", {
+      summary: summary || "(none yet)",
+      transcript,
+    });
+    const answer = await this.complete(
+      [{ role: "user", content: prompt.user }],
+      {
+        task: "summarize",
+        system: prompt.system,
+        temperature: 0.2,
+        maxTokens: 300,
       }
+    );
 
-      const data = await response.json();
+    const updated = answer.trim();
+    if (!updated) return null;
+    return {
+      summary: updated,
+      summarizedThrough: pending[pending.length - 1].timestamp,
+    };
+  }
+
+  /**
+   * Title a session from its first exchange, for the session list
+   *
+   * Falls back to the start of the user's message when the model fails or
+   * replies with something unusable.
+   * @param {string} userMessage
+   * @param {string} assistantMessage
+   * @returns {Promise<string>}
+   */
+  async generateSessionTitle(userMessage, assistantMessage) {
+    const prompt = this.promptBuilder.templates.render("session_title", {
+      transcript: `User: ${userMessage}\nAssistant: ${assistantMessage}`,
+    });
+
+    try {
+      const answer = await this.complete(
+        [{ role: "user", content: prompt.user }],
+        {
+          task: "title",
+          system: prompt.system,
+          temperature: 0.2,
+          maxTokens: 30,
+        }
+      );
+      const title = (answer.trim().split("\n")[0] || "")
+        .replace(/^title:\s*/i, "")
+        .replace(/^["'“]+|["'”]+$/g, "")
+        .replace(/[.!?]+$/, "")
+        .trim();
+      if (title && title.length <= MAX_TITLE_LENGTH) return title;
+    } catch (error) {
+      logger.warn(`Session title generation failed: ${error.message}`);
+    }
+    return titleFromMessage(userMessage);
+  }
+
+  /**
+   * Reply for a news question when retrieval found nothing relevant
+   *
+   * Deliberately not generated: answering from general knowledge here would
+   * look like a sourced answer to the user.
+   * @param {Object} [options]
+   * @param {boolean} [options.filtered] - Whether retrieval filters were applied
+   * @returns {{response: string, sources: Array, coverage: string}}
+   */
+  noCoverageResponse({ filtered = false } = {}) {
+    const hint = filtered
+      ? "Try widening the date range or removing source filters, or rephrase the question."
+      : "Try rephrasing the question or asking about a different story.";
+
+    return {
+      response: `I couldn't find any articles in the news index that cover this, so I can't answer it from recent reporting. ${hint}`,
+      sources: [],
+      coverage: "none",
+    };
+  }
+
+  /**
+   * Map retrieved documents to the sources payload returned to clients
+   *
+   * `index` is the number the answer cites the source by.
+   * @param {Array} documents
+   * @returns {Array<{index: number, title: string, url: string, snippet: string, score: number}>}
+   */
+  formatSources(documents) {
+    return documents.map((doc, i) => ({
+      index: i + 1,
+      title: doc.metadata.title || "Untitled",
+      url: doc.metadata.url || doc.metadata.link,
+      snippet: (doc.metadata.chunk_text || doc.metadata.content || "").substring(
+        0,
+        150
+      ),
+      score: doc.score,
+      ...(doc.scores && { scores: doc.scores }),
+      ...(doc.rerank && { rerank: doc.rerank }),
+    }));
+  }
+
+  /**
+   * Generate an answer grounded in the retrieved documents
+   * @param {string} query
+   * @param {Array} documents
+   * @param {Array} conversationHistory
+   * @param {Object} [options]
+   * @param {string} [options.summary] - Rolling summary of earlier turns
+   * @returns {Promise<{response: string, sources: Array, citations: Array, prompt: {name: string, version: number}, historyBudget: number}>}
+   */
+  async generateRAGResponse(
+    query,
+    documents,
+    conversationHistory = [],
+    { summary } = {}
+  ) {
+    const { system, messages, template, usage } = this.buildRAGPrompt(
+      query,
+      documents,
+      conversationHistory,
+      { summary }
+    );
+    logger.debug("RAG prompt assembled", { template, ...usage });
+    const answer = await this.complete(messages, { system, task: "answer" });
+    const { text, citations } = this.extractCitations(answer, documents);
+
+    return {
+      response: text,
+      sources: this.formatSources(documents),
+      citations,
+      prompt: template,
+      historyBudget: usage.historyBudget,
+    };
+  }
+
+  /**
+   * Validate the `[n]` markers in an answer against the documents it was given
+   * @param {string} answer
+   * @param {Array} documents
+   * @returns {{text: string, citations: Array}}
+   */
+  extractCitations(answer, documents) {
+    const { text, citations, dropped } = parseCitations(
+      answer,
+      documents.length
+    );
+    if (dropped > 0) {
+      logger.warn(`Dropped ${dropped} citation(s) to nonexistent sources`, {
+        provider: this.provider.name,
+      });
+    }
+    return { text, citations };
+  }
+
+  /**
+   * Generate a RAG answer with retry logic
+   * @param {string} query
+   * @param {Array} documents
+   * @param {Array} conversationHistory
+   * @param {Object} [options]
+   * @param {string} [options.summary] - Rolling summary of earlier turns
+   * @param {number} [options.maxRetries]
+   * @returns {Promise<{response: string, sources: Array}>}
+   */
+  async generateRAGResponseWithRetry(
+    query,
+    documents,
+    conversationHistory = [],
+    { summary, maxRetries = 3 } = {}
+  ) {
+    let lastError;
 
-      if (
-        !data.candidates ||
-        !data.candidates[0] ||
-        !data.candidates[0].content
-      ) {
-        throw new Error("Invalid response format from Gemini API");
+    for (let attempt = 1; attempt <= maxRetries; attempt++) {
+      try {
+        if (attempt > 1) {
+          const retryDelay = Math.pow(2, attempt - 1) * 1000;
+          logger.debug(`Waiting ${retryDelay}ms before LLM attempt ${attempt}`);
+          await new Promise((resolve) => setTimeout(resolve, retryDelay));
+        }
+
+        return await this.generateRAGResponse(
+          query,
+          documents,
+          conversationHistory,
+          { summary }
+        );
+      } catch (error) {
+        lastError = error;
+
+        logger.warn(`LLM attempt ${attempt}/${maxRetries} failed:`, {
+          provider: this.provider.name,
+          error: error.message,
+          status: error.status,
+        });
+
+        // Client errors other than rate limiting will not succeed on retry
+        if (error.status && error.status < 500 && error.status !== 429) {
+          throw error;
+        }
       }
+    }
+
+    logger.error(`All ${maxRetries} LLM attempts failed`);
+    throw lastError;
+  }
+
+  /**
+   * Answer without retrieved context (messages that need no articles)
+   * @param {string} query
+   * @param {Array} [conversationHistory]
+   * @param {Object} [options]
+   * @param {string} [options.summary] - Rolling summary of earlier turns
+   * @returns {Promise<{response: string, sources: Array, prompt?: Object, historyBudget?: number}>}
+   */
+  async generateFallbackResponse(
+    query,
+    conversationHistory = [],
+    { summary } = {}
+  ) {
+    try {
+      const { system, messages, template, usage } = this.buildFallbackPrompt(
+        query,
+        conversationHistory,
+        { summary }
+      );
+      const response = await this.complete(messages, {
+        system,
+        task: "fallback",
+      });
 
-      return data.candidates[0].content.parts[0].text;
+      return {
+        response,
+        sources: [],
+        prompt: template,
+        historyBudget: usage.historyBudget,
+      };
     } catch (error) {
-      logger.error("Error generating LLM response:", error);
-      throw error;
+      logger.error("Error generating fallback response:", error);
+      return {
+        response:
+          "Sorry, I'm having trouble answering right now. Please try again in a moment.",
+        sources: [],
+      };
     }
   }
 
-  async generateStreamResponse(prompt, context = []) {
+  /**
+   * Stream an answer as text chunks
+   * @param {string} query
+   * @param {Array} documents
+   * @param {Array} conversationHistory
+   * @param {Object} options
+   * @param {AbortSignal} [options.signal] - Stops generation when the client goes away
+   * @param {Function} [options.onFinish] - Called with the finish event (finishReason, blocked, ...), the prompt `template` used and its `historyBudget`
+   * @param {string} [options.summary] - Rolling summary of earlier turns
+   * @returns {AsyncGenerator<string>}
+   */
+  async *generateStreamingResponse(
+    query,
+    documents,
+    conversationHistory = [],
+    { signal, onFinish, summary } = {}
+  ) {
+    const { system, messages, template, usage } =
+      documents.length > 0
+        ? this.buildRAGPrompt(query, documents, conversationHistory, {
+            summary,
+          })
+        : this.buildFallbackPrompt(query, conversationHistory, { summary });
+    logger.debug("Streaming prompt assembled", { template, ...usage });
+
+    let emitted = false;
     try {
-      // For now, return regular response - streaming can be implemented later
-      return await this.generateResponse(prompt, context);
+      for await (const event of this.provider.stream({
+        ...this.generationConfig,
+        system,
+        messages,
+        task: documents.length > 0 ? "answer" : "fallback",
+        signal,
+      })) {
+        if (event.type === "text") {
+          emitted = true;
+          yield event.text;
+          continue;
+        }
+
+        if (event.blocked) {
+          logger.warn("LLM stream blocked by safety filters", {
+            provider: this.provider.name,
+            blockReason: event.blockReason,
+            safetyRatings: event.safetyRatings,
+          });
+          if (!emitted) {
+            yield "Sorry, I can't provide a response to that request.";
+          }
+        } else if (TRUNCATED_FINISH_REASONS.includes(event.finishReason)) {
+          logger.warn("LLM stream stopped at the output token limit");
+        }
+
+        if (onFinish) {
+          onFinish({ ...event, template, historyBudget: usage.historyBudget });
+        }
+      }
     } catch (error) {
-      logger.error("Error generating streaming LLM response:", error);
-      throw error;
+      if (error.name !== "AbortError") throw error;
+      if (onFinish) {
+        onFinish({
+          type: "finish",
+          finishReason: "ABORTED",
+          template,
+          historyBudget: usage.historyBudget,
+        });
+      }
     }
   }
 }
@@ -0,0 +1,29 @@
+const LLMService = require("./llmService");
+
+const turns = (count) =>
+  Array.from({ length: count }, (_, i) => ({
+    role: i % 2 ? "assistant" : "user",
+    content: "word ".repeat(100),
+    timestamp: `2024-01-01T00:00:0${i}.000Z`,
+  }));
+
+describe("LLMService.updateHistorySummary", () => {
+  const llmService = new LLMService({ provider: "mock" });
+  llmService.provider.rules = [{ task: "summarize", response: "Summary" }];
+
+  test("leaves history alone while it fits the default budget", async () => {
+    expect(await llmService.updateHistorySummary(turns(6))).toBeNull();
+  });
+
+  test("folds turns that the prompt's history budget left out", async () => {
+    const update = await llmService.updateHistorySummary(turns(6), "", {
+      historyBudget: 250,
+    });
+
+    // Only the latest turn fits; everything before it is summarized
+    expect(update).toEqual({
+      summary: "Summary",
+      summarizedThrough: "2024-01-01T00:00:04.000Z",
+    });
+  });
+});
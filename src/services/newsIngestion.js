@@ -1,117 +1,200 @@
 const Parser = require("rss-parser");
 const fetch = require("node-fetch");
 const xml2js = require("xml2js");
+const { enrichArticle } = require("./articleExtractor");
+const { sourceRegistry } = require("./sourceRegistry");
+const { canonicalizeUrl } = require("../utils/ids");
 const logger = require("../utils/logger");
 
 const parser = new Parser();
 
-// ✅ Primary RSS feeds
-const RSS_FEEDS = [
-  "http://feeds.bbci.co.uk/news/rss.xml",
-  "https://feeds.npr.org/1004/rss.xml",
-  "https://www.theguardian.com/world/rss",
-];
+const SITEMAP_MAX_CHILDREN = 5;
+
+// Helper: parse an RSS or Atom feed
+async function fetchFeedArticles(source) {
+  const feed = await parser.parseURL(source.url);
+  return (feed.items || []).map((item) => ({
+    title: item.title,
+    link: item.link,
+    content: item.contentSnippet || item.content || "",
+    publishedAt: item.isoDate || null,
+  }));
+}
 
-// ✅ Reuters sitemap (fallback)
-const REUTERS_SITEMAP =
-  "https://www.reuters.com/arc/outboundfeeds/sitemap-index/?outputType=xml";
+// Helper: parse a JSON Feed (https://jsonfeed.org)
+async function fetchJsonFeedArticles(source) {
+  const res = await fetch(source.url);
+  if (!res.ok) throw new Error(`JSON feed fetch failed: ${res.status}`);
+
+  const feed = await res.json();
+  return (feed.items || [])
+    .map((item) => ({
+      title: item.title || "Untitled",
+      link: item.url || item.external_url,
+      content: item.content_text || item.summary || "",
+      publishedAt: item.date_published || null,
+    }))
+    .filter((a) => a.link);
+}
 
-// Helper: fetch and parse Reuters sitemap
-async function fetchReutersArticles(limit = 30) {
-  try {
-    logger.info("Fetching Reuters sitemap...");
+// Helper: fetch a news sitemap, following a sitemap index to its first children
+async function fetchSitemapArticles(source) {
+  const res = await fetch(source.url);
+  if (!res.ok) throw new Error(`Sitemap fetch failed: ${res.status}`);
 
-    const res = await fetch(REUTERS_SITEMAP);
-    if (!res.ok) {
-      throw new Error(`Reuters sitemap fetch failed: ${res.status}`);
-    }
+  const result = await xml2js.parseStringPromise(await res.text());
+  const sitemaps = result.sitemapindex
+    ? result.sitemapindex.sitemap
+        .map((s) => s.loc[0])
+        .slice(0, SITEMAP_MAX_CHILDREN)
+    : [];
+  const urlsets = result.urlset ? [result.urlset] : [];
 
-    const xml = await res.text();
-    const result = await xml2js.parseStringPromise(xml);
-
-    // Get all <loc> URLs
-    const urls = result.sitemapindex.sitemap.map((s) => s.loc[0]).slice(0, 5); // first 5 sub-sitemaps
-
-    let articles = [];
-    for (const url of urls) {
-      try {
-        const subRes = await fetch(url);
-        const subXml = await subRes.text();
-        const subResult = await xml2js.parseStringPromise(subXml);
-
-        const items = subResult.urlset.url
-          .map((u) => ({
-            title: u["news:news"]?.[0]?.["news:title"]?.[0] || "Untitled",
-            link: u.loc?.[0],
-            content:
-              u["news:news"]?.[0]?.["news:keywords"]?.[0] ||
-              u["news:news"]?.[0]?.["news:publication"]?.[0] ||
-              "",
-          }))
-          .filter((a) => a.link);
-
-        articles.push(...items);
-      } catch (err) {
-        logger.error(
-          `Failed parsing Reuters sub-sitemap ${url}: ${err.message}`
-        );
-      }
+  for (const url of sitemaps) {
+    try {
+      const subRes = await fetch(url);
+      const subResult = await xml2js.parseStringPromise(await subRes.text());
+      if (subResult.urlset) urlsets.push(subResult.urlset);
+    } catch (err) {
+      logger.error(`Failed parsing sub-sitemap ${url}: ${err.message}`);
     }
+  }
 
-    return articles.slice(0, limit);
+  return urlsets
+    .flatMap((urlset) => urlset.url || [])
+    .map((u) => ({
+      title: u["news:news"]?.[0]?.["news:title"]?.[0] || "Untitled",
+      link: u.loc?.[0],
+      content:
+        u["news:news"]?.[0]?.["news:keywords"]?.[0] ||
+        u["news:news"]?.[0]?.["news:publication"]?.[0] ||
+        "",
+      publishedAt: u["news:news"]?.[0]?.["news:publication_date"]?.[0] || null,
+    }))
+    .filter((a) => a.link);
+}
+
+const FETCHERS = {
+  rss: fetchFeedArticles,
+  atom: fetchFeedArticles,
+  jsonfeed: fetchJsonFeedArticles,
+  sitemap: fetchSitemapArticles,
+};
+
+/**
+ * Fetch the current items of one registry source, tagged with its metadata
+ * @param {Object} source - Entry from the source registry
+ * @returns {Promise<Array>} Empty when the source fails
+ */
+async function fetchSourceArticles(source) {
+  const fetcher = FETCHERS[source.type];
+  if (!fetcher) {
+    logger.error(`Unsupported source type '${source.type}' for ${source.id}`);
+    return [];
+  }
+
+  try {
+    const articles = await fetcher(source);
+    if (!articles.length) logger.warn(`No items from ${source.url}`);
+    else logger.info(`Fetched ${articles.length} articles from ${source.url}`);
+
+    const sourceMeta = {
+      id: source.id,
+      label: source.label,
+      category: source.category,
+      language: source.language,
+    };
+    return articles.map((article) => ({ ...article, source: sourceMeta }));
   } catch (err) {
-    logger.error(`Reuters sitemap error: ${err.message}`);
+    logger.error(
+      `Failed to fetch ${source.type} ${source.url}: ${err.message}`
+    );
     return [];
   }
 }
 
-// Main ingestion function
-async function fetchNewsArticles(minArticles = 50) {
-  let articles = [];
+// Helper: take items from each list in turn so one large source cannot crowd out the rest
+function interleave(lists) {
+  const merged = [];
+  const longest = Math.max(0, ...lists.map((list) => list.length));
+  for (let i = 0; i < longest; i++) {
+    for (const list of lists) {
+      if (i < list.length) merged.push(list[i]);
+    }
+  }
+  return merged;
+}
 
-  // Step 1: Try RSS feeds
-  for (const url of RSS_FEEDS) {
-    try {
-      const feed = await parser.parseURL(url);
-      if (!feed.items?.length) {
-        logger.warn(`No items in RSS: ${url}`);
-        continue;
-      }
-
-      const feedArticles = feed.items.map((item) => ({
-        title: item.title,
-        link: item.link,
-        content: item.contentSnippet || item.content || "",
-      }));
-
-      articles.push(...feedArticles);
-      logger.info(`Fetched ${feedArticles.length} articles from ${url}`);
-    } catch (err) {
-      logger.error(`Failed to parse RSS ${url}: ${err.message}`);
+// Helper: run an async function over items with bounded concurrency
+async function mapWithConcurrency(items, concurrency, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
     }
+  };
+
+  await Promise.all(
+    Array.from({ length: Math.min(concurrency, items.length) }, worker)
+  );
+  return results;
+}
+
+/**
+ * Main ingestion function
+ * @param {number} minArticles - Target (and cap) for the number of articles
+ * @param {Object} [options]
+ * @param {Array} [options.sources] - Registry sources to fetch; all enabled sources by default
+ * @param {boolean} [options.fullText] - Follow links and extract the article body (ARTICLE_FULL_TEXT)
+ * @param {Function} [options.fetchHtml] - Override page loading, e.g. to read saved fixtures
+ * @returns {Promise<Array>}
+ */
+async function fetchNewsArticles(minArticles = 50, options = {}) {
+  const fullText =
+    options.fullText ?? process.env.ARTICLE_FULL_TEXT !== "false";
+  const sources = options.sources || (await sourceRegistry.listEnabled());
+
+  if (!sources.length) {
+    logger.warn("No enabled news sources in the registry");
+    return [];
   }
 
-  // Step 2: Fallback → Reuters sitemap if too few
-  if (articles.length < minArticles) {
-    logger.warn(
-      `Only got ${articles.length} articles from RSS. Fetching Reuters sitemap...`
-    );
-    const reutersArticles = await fetchReutersArticles(minArticles);
-    articles.push(...reutersArticles);
+  // Step 1: Fetch every source
+  const perSource = [];
+  for (const source of sources) {
+    perSource.push(await fetchSourceArticles(source));
   }
+  const articles = interleave(perSource);
 
-  // Deduplicate by link
+  // Step 2: Deduplicate by canonical link (tracking parameters, http/https, www...)
   const unique = [];
   const seen = new Set();
   for (const a of articles) {
-    if (!seen.has(a.link)) {
-      seen.add(a.link);
+    const key = canonicalizeUrl(a.link || "");
+    if (!seen.has(key)) {
+      seen.add(key);
       unique.push(a);
     }
   }
 
   logger.info(`Total unique articles collected: ${unique.length}`);
-  return unique.slice(0, minArticles); // cap at minArticles
+  const selected = unique.slice(0, minArticles); // cap at minArticles
+
+  if (!fullText) return selected;
+
+  // Step 3: Replace feed teasers with the full article body where possible
+  const enriched = await mapWithConcurrency(selected, 4, (article) =>
+    enrichArticle(article, { fetchHtml: options.fetchHtml })
+  );
+  const fullCount = enriched.filter((a) => a.extraction === "full").length;
+  logger.info(
+    `Extracted full text for ${fullCount}/${enriched.length} articles (others use the feed snippet)`
+  );
+
+  return enriched;
 }
 
-module.exports = { fetchNewsArticles };
+module.exports = { fetchNewsArticles, fetchSourceArticles };
@@ -0,0 +1,234 @@
+// src/services/promptBuilder.js
+const { getPromptTemplates } = require("../config/promptTemplates");
+const { estimateTokens } = require("../utils/tokens");
+
+// Role/formatting overhead per message, as in estimateMessageTokens
+const MESSAGE_OVERHEAD = 4;
+const CITATION_MARKER = /\s*\[\d+\]/g;
+
+const messageTokens = (msg) => estimateTokens(msg.content) + MESSAGE_OVERHEAD;
+
+/**
+ * Cut text on a word boundary so it fits within `maxTokens`
+ * @param {string} text
+ * @param {number} maxTokens
+ * @returns {string}
+ */
+function truncateToTokens(text, maxTokens) {
+  if (estimateTokens(text) <= maxTokens) return text;
+
+  let cut = text.slice(0, maxTokens * 4);
+  while (cut && estimateTokens(`${cut} …`) > maxTokens) {
+    cut = cut.slice(0, Math.floor(cut.length * 0.9));
+  }
+  const lastSpace = cut.lastIndexOf(" ");
+  if (lastSpace > cut.length / 2) cut = cut.slice(0, lastSpace);
+  return cut ? `${cut} …` : "";
+}
+
+/**
+ * Assembles chat prompts from templates within a token budget
+ *
+ * The system prompt and the question are always sent. Recent history gets up
+ * to `historyBudget` tokens, newest first; older turns are left to the
+ * session's rolling summary, which is appended to the system prompt.
+ * Retrieved documents share what is left, in rank order, and are truncated
+ * rather than dropped so their citation numbers stay stable.
+ */
+class PromptBuilder {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.budget] - Prompt tokens, excluding the answer (PROMPT_TOKEN_BUDGET)
+   * @param {number} [options.historyBudget] - Tokens for summary plus recent turns (PROMPT_HISTORY_TOKENS)
+   * @param {number} [options.minDocumentTokens] - Text kept per document however tight the budget
+   * @param {import("../config/promptTemplates").PromptTemplates} [options.templates] - Defaults to getPromptTemplates()
+   */
+  constructor({
+    budget = parseInt(process.env.PROMPT_TOKEN_BUDGET) || 6000,
+    historyBudget = parseInt(process.env.PROMPT_HISTORY_TOKENS) || 1500,
+    minDocumentTokens = 60,
+    templates,
+  } = {}) {
+    this.customTemplates = templates;
+    this.budget = budget;
+    this.historyBudget = Math.min(historyBudget, budget);
+    this.minDocumentTokens = minDocumentTokens;
+  }
+
+  // Loaded lazily so a bad template fails at startup validation, not on require
+  get templates() {
+    return this.customTemplates || getPromptTemplates();
+  }
+
+  /**
+   * Split history into the recent turns that fit the history budget and the
+   * older ones that do not
+   *
+   * Citation markers are removed from earlier answers: their numbers refer to
+   * articles that are no longer in the prompt.
+   * @param {Array} history - Messages from sessionUtils.getMessages, oldest first
+   * @param {Object} [options]
+   * @param {string} [options.summary] - Rolling summary, counted against the budget
+   * @param {number} [options.budget]
+   * @returns {{recent: Array<{role: string, content: string}>, older: Array}}
+   */
+  selectHistory(history, { summary = "", budget = this.historyBudget } = {}) {
+    let remaining = budget - estimateTokens(summary);
+    let start = history.length;
+
+    while (start > 0) {
+      const msg = history[start - 1];
+      const tokens = messageTokens({ content: this.cleanContent(msg) });
+      if (tokens > remaining) break;
+      remaining -= tokens;
+      start--;
+    }
+
+    const recent = history
+      .slice(start)
+      .map((msg) => ({
+        role: msg.role === "assistant" ? "assistant" : "user",
+        content: this.cleanContent(msg),
+      }))
+      .filter((msg) => msg.content);
+
+    return { recent: this.alternate(recent), older: history.slice(0, start) };
+  }
+
+  cleanContent(msg) {
+    const content = msg.content || "";
+    return msg.role === "assistant"
+      ? content.replace(CITATION_MARKER, "").trim()
+      : content.trim();
+  }
+
+  // Providers expect user/assistant turns to alternate, starting with the user
+  alternate(messages) {
+    const turns = [];
+    for (const msg of messages) {
+      const last = turns[turns.length - 1];
+      if (last && last.role === msg.role) {
+        last.content += `\n\n${msg.content}`;
+      } else if (turns.length > 0 || msg.role === "user") {
+        turns.push({ ...msg });
+      }
+    }
+    // An unanswered question (e.g. a failed request) would put two user
+    // turns in a row before the new question
+    if (turns.length > 0 && turns[turns.length - 1].role === "user") {
+      turns.pop();
+    }
+    return turns;
+  }
+
+  /**
+   * @param {Object} params
+   * @param {string} params.template - `rag_answer` or `fallback`
+   * @param {string} params.query - The user's message
+   * @param {Array} [params.documents] - Retrieved documents, best first
+   * @param {Array} [params.history] - Messages not yet covered by `summary`, oldest first
+   * @param {string} [params.summary] - Rolling summary of earlier turns
+   * @returns {{system: string, messages: Array<{role: string, content: string}>, template: {name: string, version: number}, usage: Object}}
+   *   `usage` has estimated tokens per part, plus the `historyBudget` left after documents,
+   *   `historyMessages` sent and `truncatedDocuments`
+   */
+  build({ template, query, documents = [], history = [], summary = "" }) {
+    const { templates } = this;
+    // Rendered without articles to measure everything but the articles
+    const frame = templates.render(template, { context: "", query });
+    const system = [templates.render("system").system, frame.system]
+      .filter(Boolean)
+      .join("\n\n");
+    const fullSystem = summary
+      ? `${system}\n\nSummary of the earlier conversation:\n${summary}`
+      : system;
+    const fixedTokens =
+      estimateTokens(fullSystem) +
+      estimateTokens(frame.user) +
+      MESSAGE_OVERHEAD;
+
+    // Documents need at least a title and a little text each; history gives way first
+    const headers = documents.map((doc, i) => this.documentHeader(doc, i));
+    const minDocsTokens = headers.reduce(
+      (sum, header) => sum + estimateTokens(header) + this.minDocumentTokens,
+      0
+    );
+    // The summary is part of the system prompt but paid for by the history
+    // budget. Turns beyond it are what updateHistorySummary folds away.
+    const historyBudget = Math.max(
+      Math.min(
+        this.historyBudget - estimateTokens(summary),
+        this.budget - fixedTokens - minDocsTokens
+      ),
+      0
+    );
+    const { recent } = this.selectHistory(history, { budget: historyBudget });
+    const historyTokens = recent.reduce(
+      (sum, msg) => sum + messageTokens(msg),
+      0
+    );
+
+    let remaining = this.budget - fixedTokens - historyTokens;
+    let truncatedDocuments = 0;
+    const blocks = documents.map((doc, i) => {
+      const text = doc.metadata.chunk_text || doc.metadata.content || "";
+      const reserved = headers
+        .slice(i + 1)
+        .reduce(
+          (sum, header) =>
+            sum + estimateTokens(header) + this.minDocumentTokens,
+          0
+        );
+      const allowance = Math.max(
+        remaining - reserved - estimateTokens(headers[i]),
+        this.minDocumentTokens
+      );
+      const kept = truncateToTokens(text, allowance);
+      if (kept !== text) truncatedDocuments++;
+
+      const block = `${headers[i]}\n${kept}`;
+      remaining -= estimateTokens(block);
+      return block;
+    });
+
+    const { user } = templates.render(template, {
+      context: blocks.join("\n\n"),
+      query,
+    });
+    const messages = [...recent, { role: "user", content: user }];
+
+    const documentTokens = blocks.reduce(
+      (sum, block) => sum + estimateTokens(block),
+      0
+    );
+    return {
+      system: fullSystem,
+      messages,
+      template: { name: frame.name, version: frame.version },
+      usage: {
+        budget: this.budget,
+        system: estimateTokens(fullSystem),
+        history: historyTokens,
+        documents: documentTokens,
+        question: estimateTokens(frame.user),
+        total: fixedTokens + historyTokens + documentTokens,
+        historyBudget,
+        historyMessages: recent.length,
+        truncatedDocuments,
+      },
+    };
+  }
+
+  documentHeader(doc, i) {
+    const { metadata } = doc;
+    const origin = [metadata.source_label, metadata.published_at]
+      .filter(Boolean)
+      .join(", ");
+    return (
+      `[${i + 1}] ${metadata.title || "Untitled"}` +
+      (origin ? ` (${origin})` : "")
+    );
+  }
+}
+
+module.exports = PromptBuilder;
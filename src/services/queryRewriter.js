@@ -0,0 +1,173 @@
+// src/services/queryRewriter.js
+const { getPromptTemplates } = require("../config/promptTemplates");
+const { tokenize } = require("../utils/tokenize");
+const logger = require("../utils/logger");
+
+// Words that only make sense with the earlier conversation
+const REFERRING_PATTERN =
+  /\b(he|she|him|his|her|hers|they|them|their|theirs|it|its|this(?!\s+(?:morning|week|weekend|month|year))|that|these|those|there|then|the same)\b/i;
+const ELLIPSIS_PATTERN =
+  /^(and|but|so|also|what about|how about|what else|why|why not|more|any more|anything else)\b/i;
+
+// Runs of capitalised words, e.g. "Keir Starmer", "European Central Bank"
+const NAME_PATTERN = /\b[A-Z][\w'’-]*(?:\s+(?:of\s+|the\s+)?[A-Z][\w'’-]*)*/g;
+const MAX_SUBJECTS = 4;
+
+// Question phrasing that says nothing about the subject
+const FILLER_TERMS = new Set(
+  (
+    "about any anything did do does doing how me more much news say said " +
+    "tell"
+  ).split(" ")
+);
+
+/**
+ * Rewrites follow-up messages into standalone questions before retrieval
+ *
+ * "What did he say after that?" embeds poorly on its own; with the last few
+ * turns of history the LLM resolves pronouns and ellipsis. When the LLM is
+ * unavailable, a deterministic heuristic appends the subjects of the recent
+ * turns instead.
+ */
+class QueryRewriter {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.turns] - User/assistant exchanges considered; 0 disables rewriting (QUERY_REWRITE_TURNS)
+   * @param {import("../config/promptTemplates").PromptTemplates} [options.templates] - Defaults to getPromptTemplates()
+   */
+  constructor({
+    turns = parseInt(process.env.QUERY_REWRITE_TURNS ?? 3),
+    templates,
+  } = {}) {
+    this.templates = templates;
+    this.turns = Number.isNaN(turns) ? 3 : Math.max(turns, 0);
+  }
+
+  /**
+   * @param {string} query - Trimmed user message
+   * @param {Array} conversationHistory - Messages from sessionUtils.getMessages, oldest first
+   * @param {import("./llmService")} llmService
+   * @returns {Promise<{original: string, rewritten: string, method: string}>}
+   *   `method` is `none` (no history or disabled), `llm` or `heuristic`
+   */
+  async rewrite(query, conversationHistory, llmService) {
+    const history = this.recentTurns(conversationHistory);
+    if (history.length === 0) {
+      return { original: query, rewritten: query, method: "none" };
+    }
+
+    try {
+      const rewritten = await this.rewriteWithLLM(query, history, llmService);
+      if (rewritten) return { original: query, rewritten, method: "llm" };
+      logger.debug("Query rewrite returned no usable question");
+    } catch (error) {
+      logger.warn("Query rewrite failed, using heuristic", {
+        error: error.message,
+      });
+    }
+
+    return {
+      original: query,
+      rewritten: this.rewriteHeuristically(query, history),
+      method: "heuristic",
+    };
+  }
+
+  recentTurns(conversationHistory = []) {
+    if (this.turns === 0) return [];
+    return conversationHistory
+      .filter((msg) => msg.content)
+      .slice(-this.turns * 2);
+  }
+
+  async rewriteWithLLM(query, history, llmService) {
+    const transcript = history
+      .map(
+        (msg) =>
+          `${msg.role === "assistant" ? "Assistant" : "User"}: ${msg.content}`
+      )
+      .join("\n");
+
+    const prompt = (this.templates || getPromptTemplates()).render(
+      "query_rewrite",
+      { transcript, query }
+    );
+    const answer = await llmService.complete(
+      [{ role: "user", content: prompt.user }],
+      {
+        task: "rewrite",
+        system: prompt.system,
+        temperature: 0,
+        maxTokens: 100,
+      }
+    );
+
+    const rewritten = answer
+      .split("\n")
+      .map((line) => line.trim())
+      .find(Boolean)
+      ?.replace(/^(standalone )?question:\s*/i, "")
+      .replace(/^["'“]+|["'”]+$/g, "")
+      .trim();
+
+    // A long reply is an answer or an explanation, not a rewritten question
+    if (!rewritten || rewritten.length > query.length + 300) return null;
+    return rewritten;
+  }
+
+  /**
+   * Append the subjects of recent turns to a message that refers back to them
+   * @param {string} query
+   * @param {Array} history - Recent messages, oldest first
+   * @returns {string} The query, unchanged when it already stands alone
+   */
+  rewriteHeuristically(query, history) {
+    const wordCount = query.split(/\s+/).length;
+    const refersBack =
+      REFERRING_PATTERN.test(query) ||
+      ELLIPSIS_PATTERN.test(query) ||
+      wordCount <= 3;
+    if (!refersBack) return query;
+
+    const known = new Set(tokenize(query));
+    const subjects = [];
+    const addSubject = (subject) => {
+      const terms = tokenize(subject);
+      if (terms.length === 0 || terms.every((term) => known.has(term))) return;
+      terms.forEach((term) => known.add(term));
+      subjects.push(subject);
+    };
+
+    // Most recent user turn first: it usually names what "he" or "it" is
+    const users = history.filter((msg) => msg.role === "user").reverse();
+    const assistants = history
+      .filter((msg) => msg.role === "assistant")
+      .reverse();
+
+    for (const msg of [...users, ...assistants]) {
+      for (const match of msg.content.matchAll(NAME_PATTERN)) {
+        const name = match[0];
+        // A lone capitalised word opening a sentence is usually not a name
+        const opensSentence = /(^|[.!?]\s+)$/.test(
+          msg.content.slice(0, match.index)
+        );
+        if (!name.includes(" ") && opensSentence) continue;
+        addSubject(name);
+        if (subjects.length >= MAX_SUBJECTS) break;
+      }
+      if (subjects.length >= MAX_SUBJECTS) break;
+    }
+
+    // No names: fall back to the keywords of the last question
+    if (subjects.length === 0 && users.length > 0) {
+      tokenize(users[0].content)
+        .filter((term) => !FILLER_TERMS.has(term))
+        .slice(0, MAX_SUBJECTS)
+        .forEach((term) => addSubject(term));
+    }
+
+    return subjects.length > 0 ? `${query} (${subjects.join(", ")})` : query;
+  }
+}
+
+module.exports = QueryRewriter;
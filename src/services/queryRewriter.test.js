@@ -0,0 +1,86 @@
+const QueryRewriter = require("./queryRewriter");
+
+const history = [
+  { role: "user", content: "What did Keir Starmer say about the budget?" },
+  {
+    role: "assistant",
+    content: "He said the Bank of England should act. Critics disagreed.",
+  },
+];
+
+describe("QueryRewriter", () => {
+  let rewriter;
+  let llmService;
+
+  beforeEach(() => {
+    rewriter = new QueryRewriter({ turns: 3 });
+    llmService = { complete: jest.fn() };
+  });
+
+  test("returns the original query unchanged without history", async () => {
+    const result = await rewriter.rewrite("What did he say?", [], llmService);
+
+    expect(result).toEqual({
+      original: "What did he say?",
+      rewritten: "What did he say?",
+      method: "none",
+    });
+    expect(llmService.complete).not.toHaveBeenCalled();
+  });
+
+  test("does not rewrite when disabled with zero turns", async () => {
+    rewriter = new QueryRewriter({ turns: 0 });
+
+    const result = await rewriter.rewrite("What next?", history, llmService);
+
+    expect(result.method).toBe("none");
+    expect(result.rewritten).toBe("What next?");
+  });
+
+  test("falls back to the heuristic when the LLM fails", async () => {
+    llmService.complete.mockRejectedValue(new Error("quota"));
+
+    const result = await rewriter.rewrite(
+      "What did he say next?",
+      history,
+      llmService
+    );
+
+    expect(result).toEqual({
+      original: "What did he say next?",
+      rewritten: "What did he say next? (Keir Starmer, Bank of England)",
+      method: "heuristic",
+    });
+  });
+
+  describe("rewriteHeuristically", () => {
+    test("resolves a pronoun with names from the latest user turn first", () => {
+      expect(
+        rewriter.rewriteHeuristically("What did he say next?", history)
+      ).toBe("What did he say next? (Keir Starmer, Bank of England)");
+    });
+
+    test("skips names the query already mentions", () => {
+      expect(
+        rewriter.rewriteHeuristically("Why did Keir Starmer say it?", history)
+      ).toBe("Why did Keir Starmer say it? (Bank of England)");
+    });
+
+    test("uses the last question's keywords when it names nobody", () => {
+      const turns = [
+        { role: "user", content: "how is the housing market doing" },
+        { role: "assistant", content: "prices are flat." },
+      ];
+
+      expect(rewriter.rewriteHeuristically("and inflation?", turns)).toBe(
+        "and inflation? (housing, market)"
+      );
+    });
+
+    test("leaves a standalone question unchanged", () => {
+      const query = "How are wheat prices moving across Europe?";
+
+      expect(rewriter.rewriteHeuristically(query, history)).toBe(query);
+    });
+  });
+});
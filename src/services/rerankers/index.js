@@ -0,0 +1,130 @@
+// src/services/rerankers/index.js
+const JinaReranker = require("./jinaReranker");
+const LLMReranker = require("./llmReranker");
+const LexicalOverlapReranker = require("./lexicalReranker");
+const logger = require("../../utils/logger");
+
+const RERANKER_NAMES = ["none", "jina", "llm", "lexical"];
+
+let defaultReranker;
+
+/**
+ * Build a reranker from configuration, or null when RERANKER is `none`
+ *
+ * Every reranker exposes `name`, `model` and
+ * `score(query, texts) → Promise<number[]>` (higher is more relevant).
+ * @param {Object} [env] - Defaults to process.env
+ * @param {Object} [deps]
+ * @param {Function} [deps.createLLMService] - Builds the judge for the `llm` reranker
+ * @returns {Object|null}
+ */
+function createReranker(env = process.env, deps = {}) {
+  const name = (env.RERANKER || "none").toLowerCase();
+
+  switch (name) {
+    case "none":
+      return null;
+    case "jina":
+      return new JinaReranker({
+        apiKey: env.JINA_API_KEY,
+        model: env.RERANK_MODEL,
+      });
+    case "llm": {
+      const createLLMService =
+        deps.createLLMService ||
+        (() => {
+          const LLMService = require("../llmService");
+          return new LLMService({ model: env.RERANK_MODEL });
+        });
+      return new LLMReranker({ llmService: createLLMService() });
+    }
+    case "lexical":
+      return new LexicalOverlapReranker();
+    default:
+      throw new Error(
+        `Unknown RERANKER: ${name}. Use one of: ${RERANKER_NAMES.join(", ")}`
+      );
+  }
+}
+
+/**
+ * Shared reranker for the configured environment
+ * @returns {Object|null}
+ */
+function getReranker() {
+  if (defaultReranker === undefined) {
+    defaultReranker = createReranker();
+  }
+  return defaultReranker;
+}
+
+/**
+ * Rescore retrieved documents and keep the best `topK`
+ *
+ * Each kept document gets `scores.rerank`, `score` set to the rerank score
+ * and `rerank: {reranker, latencyMs}`. If the reranker fails, the first
+ * `topK` documents are returned in retrieval order.
+ * @param {Object} reranker
+ * @param {string} query
+ * @param {Array} documents - Retrieval results, best first
+ * @param {number} topK
+ * @param {Object} [options]
+ * @param {number} [options.minScore] - Drop documents the reranker scores below this
+ * @returns {Promise<Array>}
+ */
+async function rerankDocuments(
+  reranker,
+  query,
+  documents,
+  topK,
+  { minScore = 0 } = {}
+) {
+  if (!reranker || documents.length === 0) return documents.slice(0, topK);
+
+  const texts = documents.map((doc) => {
+    const text = doc.metadata.chunk_text || doc.metadata.content || "";
+    return doc.metadata.title ? `${doc.metadata.title}. ${text}` : text;
+  });
+
+  const startedAt = Date.now();
+  let scores;
+  try {
+    scores = await reranker.score(query, texts);
+  } catch (error) {
+    logger.warn("Reranking failed, keeping retrieval order", {
+      reranker: reranker.name,
+      error: error.message,
+    });
+    return documents.slice(0, topK);
+  }
+  const latencyMs = Date.now() - startedAt;
+  const label = `${reranker.name}:${reranker.model}`;
+
+  const reranked = documents
+    .map((doc, i) => ({
+      ...doc,
+      score: scores[i],
+      scores: { ...doc.scores, rerank: scores[i] },
+      rerank: { reranker: label, latencyMs },
+    }))
+    .filter((doc) => doc.score >= minScore)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, topK);
+
+  logger.info("Reranking completed", {
+    reranker: label,
+    candidates: documents.length,
+    kept: reranked.length,
+    latencyMs,
+    topScore: reranked[0]?.score ?? null,
+  });
+
+  return reranked;
+}
+
+module.exports = {
+  RERANKER_NAMES,
+  createReranker,
+  getReranker,
+  rerankDocuments,
+};
@@ -0,0 +1,64 @@
+// src/services/rerankers/jinaReranker.js
+const axios = require("axios");
+
+class JinaReranker {
+  /**
+   * @param {Object} options
+   * @param {string} options.apiKey
+   * @param {string} [options.model]
+   */
+  constructor({ apiKey, model = "jina-reranker-v2-base-multilingual" }) {
+    if (!apiKey) {
+      throw new Error("JINA_API_KEY is required for the jina reranker");
+    }
+
+    this.name = "jina";
+    this.apiKey = apiKey;
+    this.model = model;
+    this.baseUrl = "https://api.jina.ai/v1/rerank";
+  }
+
+  /**
+   * @param {string} query
+   * @param {string[]} texts
+   * @returns {Promise<number[]>} Relevance per text, in input order
+   */
+  async score(query, texts) {
+    try {
+      const response = await axios.post(
+        this.baseUrl,
+        {
+          model: this.model,
+          query,
+          documents: texts,
+          top_n: texts.length,
+          return_documents: false,
+        },
+        {
+          headers: {
+            Authorization: `Bearer ${this.apiKey}`,
+            "Content-Type": "application/json",
+          },
+          timeout: 30000,
+        }
+      );
+
+      const scores = new Array(texts.length).fill(0);
+      for (const result of response.data?.results || []) {
+        scores[result.index] = result.relevance_score;
+      }
+      return scores;
+    } catch (error) {
+      if (!error.response) throw error;
+
+      const wrapped = new Error(
+        `Jina rerank API error: ${error.response.status}`
+      );
+      wrapped.status = error.response.status;
+      wrapped.details = error.response.data;
+      throw wrapped;
+    }
+  }
+}
+
+module.exports = JinaReranker;
@@ -0,0 +1,58 @@
+// src/services/rerankers/lexicalReranker.js
+const { tokenize } = require("../../utils/tokenize");
+
+/**
+ * Offline reranker: share of the query's terms found in each passage,
+ * weighted by how rare each term is among the candidates, plus a bonus for
+ * query bigrams that appear verbatim
+ */
+class LexicalOverlapReranker {
+  constructor() {
+    this.name = "lexical";
+    this.model = "term-overlap";
+  }
+
+  /**
+   * @param {string} query
+   * @param {string[]} texts
+   * @returns {Promise<number[]>} Relevance in [0, 1] per text, in input order
+   */
+  async score(query, texts) {
+    const queryTerms = [...new Set(tokenize(query))];
+    if (queryTerms.length === 0) return texts.map(() => 0);
+
+    const queryTokens = tokenize(query);
+    const queryBigrams = queryTokens
+      .slice(1)
+      .map((token, i) => `${queryTokens[i]} ${token}`);
+
+    const docs = texts.map((text) => {
+      const tokens = tokenize(text);
+      const bigrams = new Set(
+        tokens.slice(1).map((token, i) => `${tokens[i]} ${token}`)
+      );
+      return { terms: new Set(tokens), bigrams };
+    });
+
+    const weights = queryTerms.map((term) => {
+      const df = docs.filter((doc) => doc.terms.has(term)).length;
+      return Math.log(1 + (docs.length + 1) / (df + 1));
+    });
+    const totalWeight = weights.reduce((sum, w) => sum + w, 0);
+
+    return docs.map((doc) => {
+      const coverage =
+        queryTerms.reduce(
+          (sum, term, i) => sum + (doc.terms.has(term) ? weights[i] : 0),
+          0
+        ) / totalWeight;
+      const phrase = queryBigrams.length
+        ? queryBigrams.filter((bigram) => doc.bigrams.has(bigram)).length /
+          queryBigrams.length
+        : 0;
+      return 0.8 * coverage + 0.2 * phrase;
+    });
+  }
+}
+
+module.exports = LexicalOverlapReranker;
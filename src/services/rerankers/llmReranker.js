@@ -0,0 +1,61 @@
+// src/services/rerankers/llmReranker.js
+
+// Long passages make the judge prompt slow without changing the verdict much
+const MAX_PASSAGE_CHARS = 600;
+
+/**
+ * LLM-as-judge: one prompt rates every candidate passage from 0 to 10
+ */
+class LLMReranker {
+  /**
+   * @param {Object} options
+   * @param {import("../llmService")} options.llmService
+   */
+  constructor({ llmService }) {
+    this.name = "llm";
+    this.llmService = llmService;
+    this.model = llmService.modelName;
+  }
+
+  buildPrompt(query, texts) {
+    const passages = texts
+      .map((text, i) => `[${i + 1}] ${text.slice(0, MAX_PASSAGE_CHARS)}`)
+      .join("\n\n");
+    return `Question: ${query}\n\nPassages:\n${passages}`;
+  }
+
+  /**
+   * @param {string} query
+   * @param {string[]} texts
+   * @returns {Promise<number[]>} Relevance in [0, 1] per text, in input order
+   */
+  async score(query, texts) {
+    const answer = await this.llmService.complete(
+      [{ role: "user", content: this.buildPrompt(query, texts) }],
+      {
+        task: "rerank",
+        system:
+          "Rate how useful each numbered passage is for answering the " +
+          "question, from 0 (irrelevant) to 10 (directly answers it). Reply " +
+          `with a JSON array of ${texts.length} numbers in passage order and ` +
+          "nothing else.",
+        temperature: 0,
+        maxTokens: 8 * texts.length + 20,
+      }
+    );
+
+    const match = answer.match(/\[[\s\S]*?\]/);
+    const ratings = match ? JSON.parse(match[0]) : null;
+    if (
+      !Array.isArray(ratings) ||
+      ratings.length !== texts.length ||
+      ratings.some((rating) => typeof rating !== "number")
+    ) {
+      throw new Error("LLM reranker returned an unparseable rating list");
+    }
+
+    return ratings.map((rating) => Math.min(Math.max(rating, 0), 10) / 10);
+  }
+}
+
+module.exports = LLMReranker;
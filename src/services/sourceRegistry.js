@@ -0,0 +1,176 @@
+// src/services/sourceRegistry.js
+const database = require("../config/database");
+const { SOURCE_TYPES, DEFAULT_SOURCES } = require("../config/newsSources");
+
+const SOURCES_KEY = "news_sources";
+const SEEDED_KEY = "news_sources:seeded";
+
+const FIELDS = [
+  "type",
+  "url",
+  "label",
+  "category",
+  "language",
+  "enabled",
+  "fetchIntervalMinutes",
+];
+
+const registryError = (status, message, details) => {
+  const error = new Error(message);
+  error.status = status;
+  if (details) error.details = details;
+  return error;
+};
+
+/**
+ * Validate a source, or the fields of a partial update
+ * @param {Object} input
+ * @param {boolean} partial - Only check fields that are present
+ * @returns {string[]} Validation errors
+ */
+function validateSource(input, partial = false) {
+  const errors = [];
+  const has = (field) => input[field] !== undefined;
+  const need = (field) => !partial || has(field);
+
+  if (need("type") && !SOURCE_TYPES.includes(input.type)) {
+    errors.push(`type must be one of: ${SOURCE_TYPES.join(", ")}`);
+  }
+  if (need("url")) {
+    try {
+      const { protocol } = new URL(input.url);
+      if (!["http:", "https:"].includes(protocol)) throw new Error();
+    } catch {
+      errors.push("url must be an http(s) URL");
+    }
+  }
+  if (
+    need("label") &&
+    (typeof input.label !== "string" || !input.label.trim())
+  ) {
+    errors.push("label is required");
+  }
+  for (const field of ["category", "language"]) {
+    if (has(field) && typeof input[field] !== "string") {
+      errors.push(`${field} must be a string`);
+    }
+  }
+  if (has("enabled") && typeof input.enabled !== "boolean") {
+    errors.push("enabled must be a boolean");
+  }
+  if (
+    has("fetchIntervalMinutes") &&
+    !(
+      Number.isInteger(input.fetchIntervalMinutes) &&
+      input.fetchIntervalMinutes >= 5
+    )
+  ) {
+    errors.push("fetchIntervalMinutes must be an integer of at least 5");
+  }
+
+  return errors;
+}
+
+const slugify = (text) =>
+  text
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "")
+    .slice(0, 48);
+
+/**
+ * News sources persisted in a Redis hash (id → JSON)
+ */
+const sourceRegistry = {
+  get redis() {
+    return database.redis;
+  },
+
+  // Seed defaults once; deleting every source later must not bring them back
+  async ensureSeeded() {
+    const seeded = await this.redis.set(SEEDED_KEY, "1", "NX");
+    if (seeded !== "OK") return;
+
+    const now = new Date().toISOString();
+    const entries = DEFAULT_SOURCES.flatMap((source) => [
+      source.id,
+      JSON.stringify({ ...source, createdAt: now, updatedAt: now }),
+    ]);
+    await this.redis.hset(SOURCES_KEY, ...entries);
+  },
+
+  async list({ enabled } = {}) {
+    await this.ensureSeeded();
+    const raw = await this.redis.hvals(SOURCES_KEY);
+    return raw
+      .map((value) => JSON.parse(value))
+      .filter((source) => enabled === undefined || source.enabled === enabled)
+      .sort((a, b) => a.label.localeCompare(b.label));
+  },
+
+  async listEnabled() {
+    return this.list({ enabled: true });
+  },
+
+  async get(id) {
+    await this.ensureSeeded();
+    const raw = await this.redis.hget(SOURCES_KEY, id);
+    return raw ? JSON.parse(raw) : null;
+  },
+
+  async create(input) {
+    const errors = validateSource(input);
+    if (errors.length) throw registryError(400, "Invalid source", errors);
+
+    const id = input.id ? slugify(String(input.id)) : slugify(input.label);
+    if (!id) throw registryError(400, "Invalid source", ["id is required"]);
+
+    const now = new Date().toISOString();
+    const source = {
+      id,
+      type: input.type,
+      url: input.url,
+      label: input.label.trim(),
+      category: input.category || "general",
+      language: input.language || "en",
+      enabled: input.enabled ?? true,
+      fetchIntervalMinutes: input.fetchIntervalMinutes ?? 60,
+      createdAt: now,
+      updatedAt: now,
+    };
+
+    await this.ensureSeeded();
+    const created = await this.redis.hsetnx(
+      SOURCES_KEY,
+      id,
+      JSON.stringify(source)
+    );
+    if (!created) throw registryError(409, `Source '${id}' already exists`);
+
+    return source;
+  },
+
+  async update(id, changes) {
+    const errors = validateSource(changes, true);
+    if (errors.length) throw registryError(400, "Invalid source", errors);
+
+    const existing = await this.get(id);
+    if (!existing) throw registryError(404, `Source '${id}' not found`);
+
+    const updated = { ...existing, updatedAt: new Date().toISOString() };
+    for (const field of FIELDS) {
+      if (changes[field] !== undefined) updated[field] = changes[field];
+    }
+
+    await this.redis.hset(SOURCES_KEY, id, JSON.stringify(updated));
+    return updated;
+  },
+
+  async remove(id) {
+    await this.ensureSeeded();
+    const removed = await this.redis.hdel(SOURCES_KEY, id);
+    if (!removed) throw registryError(404, `Source '${id}' not found`);
+  },
+};
+
+module.exports = { sourceRegistry, validateSource };
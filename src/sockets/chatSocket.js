@@ -0,0 +1,165 @@
+// src/sockets/chatSocket.js
+const chatController = require("../controllers/chatController");
+const { sessionUtils } = require("../config/database");
+const { authenticateCredential } = require("../middleware/auth");
+const { parseRetrievalFilters } = require("../utils/retrievalFilters");
+const logger = require("../utils/logger");
+
+// One in-flight generation per session, shared by every tab in its room
+const activeGenerations = new Map();
+
+const sessionRoom = (sessionId) => `session:${sessionId}`;
+
+// `auth: { token }` or `auth: { apiKey }` on connect, or the same headers as REST
+const handshakeCredential = ({ auth = {}, headers = {} }) => {
+  const match = /^Bearer\s+(\S+)$/i.exec(headers.authorization || "");
+  return (
+    auth.token || auth.apiKey || (match && match[1]) || headers["x-api-key"]
+  );
+};
+
+/**
+ * Register the Socket.IO chat handlers
+ *
+ * Connections must authenticate; sockets only join rooms of sessions their
+ * user owns, so events for other sessions are never delivered to them.
+ *
+ * Client → server: joinSession, chatMessage, cancel
+ * Server → room:   metadata, sources, token, complete, error
+ * @param {import("socket.io").Server} io
+ */
+function registerChatSocket(io) {
+  io.use(async (socket, next) => {
+    const credential = handshakeCredential(socket.handshake);
+    if (!credential) return next(new Error("Authentication required"));
+
+    try {
+      socket.data.user = await authenticateCredential(credential);
+      next();
+    } catch (error) {
+      if (error.status !== 401) {
+        logger.error("WebSocket authentication error:", error);
+      }
+      next(new Error(error.status === 401 ? error.message : "Unauthorized"));
+    }
+  });
+
+  io.on("connection", (socket) => {
+    logger.info(`User connected via WebSocket: ${socket.id}`, {
+      userId: socket.data.user.id,
+    });
+
+    const ownedSession = (sessionId) =>
+      sessionUtils.getOwnedSession(sessionId, socket.data.user.id);
+
+    socket.on("joinSession", async (data = {}) => {
+      if (!data.sessionId) return;
+      try {
+        if (await ownedSession(data.sessionId)) {
+          socket.join(sessionRoom(data.sessionId));
+        } else {
+          socket.emit("error", {
+            sessionId: data.sessionId,
+            error: "Session not found",
+          });
+        }
+      } catch (error) {
+        logger.error("WebSocket joinSession error:", error);
+      }
+    });
+
+    socket.on("chatMessage", async (data = {}) => {
+      const { sessionId, message, llm } = data;
+
+      if (!message || typeof message !== "string" || !message.trim()) {
+        socket.emit("error", { sessionId, error: "Message is required" });
+        return;
+      }
+      if (!sessionId) {
+        socket.emit("error", { error: "Session ID is required" });
+        return;
+      }
+
+      let session;
+      try {
+        session = await ownedSession(sessionId);
+      } catch (error) {
+        logger.error("WebSocket chat error:", error);
+        socket.emit("error", { sessionId, error: "Failed to process message" });
+        return;
+      }
+      if (!session) {
+        socket.emit("error", { sessionId, error: "Session not found" });
+        return;
+      }
+
+      const room = sessionRoom(sessionId);
+      socket.join(room);
+
+      if (activeGenerations.has(sessionId)) {
+        socket.emit("error", {
+          sessionId,
+          error: "A response is already being generated for this session",
+        });
+        return;
+      }
+
+      let llmService;
+      let filters;
+      try {
+        llmService = chatController.resolveLLMService(llm);
+        filters = parseRetrievalFilters(data.filters);
+      } catch (error) {
+        socket.emit("error", { sessionId, error: error.message });
+        return;
+      }
+
+      const abortController = new AbortController();
+      activeGenerations.set(sessionId, abortController);
+
+      try {
+        await chatController.streamChat(
+          {
+            sessionId,
+            session,
+            message: message.trim(),
+            signal: abortController.signal,
+            llmService,
+            filters,
+            debug: data.debug === true,
+          },
+          (type, payload) => {
+            const event = type === "content" ? "token" : type;
+            io.to(room).emit(event, { sessionId, ...payload });
+          }
+        );
+      } catch (error) {
+        logger.error("WebSocket chat error:", error);
+        io.to(room).emit("error", {
+          sessionId,
+          error: "Failed to process message",
+        });
+      } finally {
+        activeGenerations.delete(sessionId);
+      }
+    });
+
+    socket.on("cancel", (data = {}) => {
+      // Only sockets that passed the ownership check are in the room
+      if (!socket.rooms.has(sessionRoom(data.sessionId))) return;
+      const abortController = activeGenerations.get(data.sessionId);
+      if (abortController) {
+        abortController.abort();
+        logger.info("Generation cancelled via WebSocket", {
+          sessionId: data.sessionId,
+        });
+      }
+    });
+
+    socket.on("disconnect", () => {
+      logger.info(`User disconnected: ${socket.id}`);
+    });
+  });
+}
+
+module.exports = { registerChatSocket };
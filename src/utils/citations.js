@@ -0,0 +1,99 @@
+// src/utils/citations.js
+
+// [1], [2, 3] and [1][2] style markers
+const MARKER_GROUP = /\s*\[(\d+(?:\s*,\s*\d+)*)\]/g;
+const SENTENCE_END = /[.!?]["'”’)\]]*\s+|\n+/g;
+
+/**
+ * Start of the sentence containing `index`
+ * @param {string} text
+ * @param {number} index
+ * @returns {number}
+ */
+function sentenceStart(text, index) {
+  let start = 0;
+  let match;
+  SENTENCE_END.lastIndex = 0;
+  while ((match = SENTENCE_END.exec(text)) !== null) {
+    const end = match.index + match[0].length;
+    if (end > index) break;
+    start = end;
+  }
+  return start;
+}
+
+/**
+ * Validate `[n]` citation markers in an answer and locate what they cite
+ *
+ * Markers pointing at sources that do not exist are removed, and groups such
+ * as `[1, 2]` are rewritten as `[1][2]`, so every remaining marker is valid.
+ * Spans index into the returned `text`:
+ * - `start` / `end` cover the `[n]` marker itself
+ * - `claimStart` / `claimEnd` cover the text it supports: from the start of
+ *   the sentence (or the previous marker in it) up to the marker
+ * @param {string} answer
+ * @param {number} sourceCount - Number of numbered context blocks in the prompt
+ * @returns {{text: string, citations: Array<{source: number, start: number, end: number, claimStart: number, claimEnd: number}>, dropped: number}}
+ */
+function parseCitations(answer, sourceCount) {
+  let dropped = 0;
+
+  // Pass 1: rewrite marker groups to canonical valid markers
+  const text = answer.replace(MARKER_GROUP, (group, numbers) => {
+    const valid = numbers
+      .split(",")
+      .map((n) => parseInt(n.trim()))
+      .filter((n, i, all) => {
+        const ok = n >= 1 && n <= sourceCount;
+        if (!ok) dropped++;
+        return ok && all.indexOf(n) === i;
+      });
+    if (valid.length === 0) return "";
+    const leading = group.match(/^\s*/)[0];
+    return leading + valid.map((n) => `[${n}]`).join("");
+  });
+
+  // Pass 2: locate markers and the claims they support
+  const citations = [];
+  const markerPattern = /\[(\d+)\]/g;
+  let previousMarkerEnd = 0;
+  let match;
+
+  while ((match = markerPattern.exec(text)) !== null) {
+    const start = match.index;
+    const end = start + match[0].length;
+
+    // Adjacent markers ([1][2]) share the same claim
+    const last = citations[citations.length - 1];
+    if (last && last.end === start) {
+      citations.push({
+        ...last,
+        source: parseInt(match[1]),
+        start,
+        end,
+      });
+      previousMarkerEnd = end;
+      continue;
+    }
+
+    let claimStart = Math.max(sentenceStart(text, start), previousMarkerEnd);
+    let claimEnd = start;
+    while (claimStart < claimEnd && /[\s,;:]/.test(text[claimStart])) {
+      claimStart++;
+    }
+    while (claimEnd > claimStart && /\s/.test(text[claimEnd - 1])) claimEnd--;
+
+    citations.push({
+      source: parseInt(match[1]),
+      start,
+      end,
+      claimStart,
+      claimEnd,
+    });
+    previousMarkerEnd = end;
+  }
+
+  return { text, citations, dropped };
+}
+
+module.exports = { parseCitations };
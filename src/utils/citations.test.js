@@ -0,0 +1,65 @@
+const { parseCitations } = require("./citations");
+
+describe("parseCitations", () => {
+  test("locates markers and the claims they support", () => {
+    const { text, citations, dropped } = parseCitations(
+      "Rates rose [1]. Prices fell sharply [2].",
+      2
+    );
+
+    expect(text).toBe("Rates rose [1]. Prices fell sharply [2].");
+    expect(dropped).toBe(0);
+    expect(citations).toEqual([
+      { source: 1, start: 11, end: 14, claimStart: 0, claimEnd: 10 },
+      { source: 2, start: 36, end: 39, claimStart: 16, claimEnd: 35 },
+    ]);
+    expect(text.slice(citations[1].claimStart, citations[1].claimEnd)).toBe(
+      "Prices fell sharply"
+    );
+  });
+
+  test("removes markers for sources that do not exist", () => {
+    const { text, citations, dropped } = parseCitations(
+      "Rates rose [3]. Prices fell [0] [1].",
+      2
+    );
+
+    expect(text).toBe("Rates rose. Prices fell [1].");
+    expect(dropped).toBe(2);
+    expect(citations.map((c) => c.source)).toEqual([1]);
+  });
+
+  test("splits groups and drops duplicates and invalid numbers in them", () => {
+    const { text, citations, dropped } = parseCitations(
+      "Both agree [2, 1, 2, 9].",
+      2
+    );
+
+    expect(text).toBe("Both agree [2][1].");
+    expect(dropped).toBe(1);
+    // Adjacent markers support the same claim
+    expect(citations).toEqual([
+      expect.objectContaining({ source: 2, claimStart: 0, claimEnd: 10 }),
+      expect.objectContaining({ source: 1, claimStart: 0, claimEnd: 10 }),
+    ]);
+  });
+
+  test("starts a later claim after an earlier marker in the same sentence", () => {
+    const { text, citations } = parseCitations(
+      "Rates rose [1], while prices fell [2].",
+      2
+    );
+
+    expect(text.slice(citations[1].claimStart, citations[1].claimEnd)).toBe(
+      "while prices fell"
+    );
+  });
+
+  test("returns text without markers unchanged", () => {
+    expect(parseCitations("No sources here.", 0)).toEqual({
+      text: "No sources here.",
+      citations: [],
+      dropped: 0,
+    });
+  });
+});
@@ -0,0 +1,74 @@
+// src/utils/ids.js
+const crypto = require("crypto");
+const { v5: uuidv5 } = require("uuid");
+
+// Query parameters that identify a campaign or click, not the article
+const TRACKING_PARAMS = [
+  /^utm_/i,
+  /^at_/i,
+  /^(fbclid|gclid|dclid|msclkid|mc_cid|mc_eid|ocid|cmp|icid|ito|ns_mchannel|ns_campaign|ns_source|ns_linkname|ns_fee|rss|ref|src)$/i,
+];
+
+/**
+ * Normalise an article URL so the same story always maps to the same string:
+ * https, lowercase host without `www.`, no fragment, no tracking parameters,
+ * sorted query and no trailing slash
+ * @param {string} url
+ * @returns {string}
+ */
+function canonicalizeUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(url.trim());
+  } catch {
+    return (url || "").trim();
+  }
+
+  if (parsed.protocol === "http:") parsed.protocol = "https:";
+  parsed.hostname = parsed.hostname.toLowerCase().replace(/^www\./, "");
+  parsed.hash = "";
+
+  const params = [...parsed.searchParams.entries()]
+    .filter(([key]) => !TRACKING_PARAMS.some((pattern) => pattern.test(key)))
+    .sort(([a], [b]) => a.localeCompare(b));
+  parsed.search = new URLSearchParams(params).toString();
+
+  if (parsed.pathname.length > 1) {
+    parsed.pathname = parsed.pathname.replace(/\/+$/, "");
+  }
+
+  return parsed.toString();
+}
+
+/**
+ * Article identifier derived from its canonical URL (UUID v5)
+ * @param {string} canonicalUrl
+ * @returns {string}
+ */
+function articleIdFor(canonicalUrl) {
+  return uuidv5(canonicalUrl, uuidv5.URL);
+}
+
+/**
+ * Qdrant point identifier for one chunk of an article (UUID v5)
+ * @param {string} articleId
+ * @param {number} chunkIndex
+ * @returns {string}
+ */
+function chunkPointId(articleId, chunkIndex) {
+  return uuidv5(String(chunkIndex), articleId);
+}
+
+/**
+ * SHA-256 of the article text that ends up in the index
+ * @param {{title?: string, content?: string}} article
+ * @returns {string}
+ */
+function contentHash({ title = "", content = "" }) {
+  return crypto
+    .createHash("sha256")
+    .update(`${title}\n${content}`)
+    .digest("hex");
+}
+
+module.exports = { canonicalizeUrl, articleIdFor, chunkPointId, contentHash };
@@ -0,0 +1,54 @@
+const { canonicalizeUrl, articleIdFor, chunkPointId } = require("./ids");
+
+describe("canonicalizeUrl", () => {
+  test("normalises scheme, host, fragment, trailing slash and query order", () => {
+    expect(
+      canonicalizeUrl(" http://WWW.Example.com/news/story/?b=2&a=1#comments ")
+    ).toBe("https://example.com/news/story?a=1&b=2");
+  });
+
+  test("strips tracking parameters but keeps the rest", () => {
+    expect(
+      canonicalizeUrl(
+        "https://example.com/story?utm_source=rss&id=7&fbclid=x&at_medium=y&ns_campaign=z"
+      )
+    ).toBe("https://example.com/story?id=7");
+  });
+
+  test("maps variants of the same story to one URL", () => {
+    const variants = [
+      "https://example.com/story",
+      "http://www.example.com/story/",
+      "https://example.com/story?utm_campaign=feed#top",
+    ];
+
+    expect(new Set(variants.map(canonicalizeUrl)).size).toBe(1);
+  });
+
+  test("keeps the root path and returns unparseable input trimmed", () => {
+    expect(canonicalizeUrl("https://example.com/")).toBe(
+      "https://example.com/"
+    );
+    expect(canonicalizeUrl("  not a url ")).toBe("not a url");
+  });
+});
+
+describe("chunkPointId", () => {
+  const articleId = articleIdFor("https://example.com/story");
+
+  test("is a stable UUID per article and chunk index", () => {
+    const id = chunkPointId(articleId, 0);
+
+    expect(id).toMatch(
+      /^[0-9a-f]{8}-[0-9a-f]{4}-5[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/
+    );
+    expect(chunkPointId(articleId, 0)).toBe(id);
+  });
+
+  test("differs between chunks and between articles", () => {
+    const otherArticle = articleIdFor("https://example.com/other");
+
+    expect(chunkPointId(articleId, 1)).not.toBe(chunkPointId(articleId, 0));
+    expect(chunkPointId(otherArticle, 0)).not.toBe(chunkPointId(articleId, 0));
+  });
+});
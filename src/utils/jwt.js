@@ -0,0 +1,97 @@
+// src/utils/jwt.js
+const crypto = require("crypto");
+
+const authError = (message) => {
+  const error = new Error(message);
+  error.status = 401;
+  return error;
+};
+
+const encode = (value) =>
+  Buffer.from(JSON.stringify(value)).toString("base64url");
+
+const sign = (data, secret) =>
+  crypto.createHmac("sha256", secret).update(data).digest();
+
+/**
+ * Create an HS256 JWT
+ * @param {Object} claims - Must include `sub`
+ * @param {string} secret
+ * @param {Object} [options]
+ * @param {number} [options.expiresInSeconds]
+ * @returns {string}
+ */
+function signJwt(claims, secret, { expiresInSeconds } = {}) {
+  const now = Math.floor(Date.now() / 1000);
+  const payload = {
+    iat: now,
+    ...(expiresInSeconds && { exp: now + expiresInSeconds }),
+    ...claims,
+  };
+  const data = `${encode({ alg: "HS256", typ: "JWT" })}.${encode(payload)}`;
+  return `${data}.${sign(data, secret).toString("base64url")}`;
+}
+
+/**
+ * Verify an HS256 JWT and return its claims
+ *
+ * Only HS256 is accepted, so a token cannot choose a weaker algorithm.
+ * `exp` and `nbf` are checked when present, `iss` and `aud` when configured.
+ * @param {string} token
+ * @param {string} secret
+ * @param {Object} [options]
+ * @param {string} [options.issuer]
+ * @param {string} [options.audience]
+ * @param {number} [options.clockToleranceSeconds]
+ * @returns {Object} Claims
+ * @throws {Error} With `status` 401 when the token is invalid
+ */
+function verifyJwt(
+  token,
+  secret,
+  { issuer, audience, clockToleranceSeconds = 30 } = {}
+) {
+  const parts = String(token).split(".");
+  if (parts.length !== 3) throw authError("Malformed token");
+  const [header, payload, signature] = parts;
+
+  let headerJson;
+  let claims;
+  try {
+    headerJson = JSON.parse(Buffer.from(header, "base64url").toString());
+    claims = JSON.parse(Buffer.from(payload, "base64url").toString());
+  } catch {
+    throw authError("Malformed token");
+  }
+  if (headerJson.alg !== "HS256")
+    throw authError("Unsupported token algorithm");
+
+  const expected = sign(`${header}.${payload}`, secret);
+  const actual = Buffer.from(signature, "base64url");
+  if (
+    actual.length !== expected.length ||
+    !crypto.timingSafeEqual(actual, expected)
+  ) {
+    throw authError("Invalid token signature");
+  }
+
+  const now = Math.floor(Date.now() / 1000);
+  if (claims.exp !== undefined && now > claims.exp + clockToleranceSeconds) {
+    throw authError("Token expired");
+  }
+  if (claims.nbf !== undefined && now < claims.nbf - clockToleranceSeconds) {
+    throw authError("Token not yet valid");
+  }
+  if (issuer && claims.iss !== issuer) throw authError("Invalid token issuer");
+  if (audience) {
+    const audiences = [].concat(claims.aud || []);
+    if (!audiences.includes(audience)) {
+      throw authError("Invalid token audience");
+    }
+  }
+  if (!claims.sub) throw authError("Token has no subject");
+
+  return claims;
+}
+
+module.exports = { signJwt, verifyJwt };
@@ -0,0 +1,97 @@
+const crypto = require("crypto");
+const { signJwt, verifyJwt } = require("./jwt");
+
+const SECRET = "test-secret";
+const now = () => Math.floor(Date.now() / 1000);
+const encode = (value) =>
+  Buffer.from(JSON.stringify(value)).toString("base64url");
+
+// Build a token by hand, for headers signJwt would never produce
+const rawToken = (header, claims, secret = SECRET) => {
+  const data = `${encode(header)}.${encode(claims)}`;
+  const signature = secret
+    ? crypto.createHmac("sha256", secret).update(data).digest("base64url")
+    : "";
+  return `${data}.${signature}`;
+};
+
+describe("verifyJwt", () => {
+  test("returns the claims of a valid token", () => {
+    const token = signJwt({ sub: "u1", role: "admin" }, SECRET, {
+      expiresInSeconds: 60,
+    });
+
+    expect(verifyJwt(token, SECRET)).toMatchObject({
+      sub: "u1",
+      role: "admin",
+    });
+  });
+
+  test("rejects a bad signature", () => {
+    const token = signJwt({ sub: "u1" }, "another-secret");
+
+    expect(() => verifyJwt(token, SECRET)).toThrow("Invalid token signature");
+  });
+
+  test("rejects a tampered payload", () => {
+    const [header, , signature] = signJwt({ sub: "u1" }, SECRET).split(".");
+    const token = `${header}.${encode({ sub: "admin" })}.${signature}`;
+
+    expect(() => verifyJwt(token, SECRET)).toThrow("Invalid token signature");
+  });
+
+  test.each([["none"], ["HS512"], ["RS256"]])("rejects alg %s", (alg) => {
+    const token = rawToken({ alg, typ: "JWT" }, { sub: "u1" });
+
+    expect(() => verifyJwt(token, SECRET)).toThrow(
+      expect.objectContaining({
+        status: 401,
+        message: "Unsupported token algorithm",
+      })
+    );
+  });
+
+  test("rejects an unsigned token", () => {
+    const token = rawToken({ alg: "none" }, { sub: "u1" }, null);
+
+    expect(() => verifyJwt(token, SECRET)).toThrow(
+      "Unsupported token algorithm"
+    );
+  });
+
+  test("rejects an expired token beyond the clock tolerance", () => {
+    const token = signJwt({ sub: "u1", exp: now() - 120 }, SECRET);
+
+    expect(() => verifyJwt(token, SECRET)).toThrow("Token expired");
+    expect(() =>
+      verifyJwt(token, SECRET, { clockToleranceSeconds: 300 })
+    ).not.toThrow();
+  });
+
+  test("rejects a token whose nbf is in the future", () => {
+    const token = signJwt({ sub: "u1", nbf: now() + 120 }, SECRET);
+
+    expect(() => verifyJwt(token, SECRET)).toThrow("Token not yet valid");
+  });
+
+  test("checks issuer and audience when configured", () => {
+    const token = signJwt({ sub: "u1", iss: "idp", aud: ["chat"] }, SECRET);
+
+    expect(() =>
+      verifyJwt(token, SECRET, { issuer: "idp", audience: "chat" })
+    ).not.toThrow();
+    expect(() => verifyJwt(token, SECRET, { issuer: "other" })).toThrow(
+      "Invalid token issuer"
+    );
+    expect(() => verifyJwt(token, SECRET, { audience: "admin" })).toThrow(
+      "Invalid token audience"
+    );
+  });
+
+  test("rejects malformed tokens and tokens without a subject", () => {
+    expect(() => verifyJwt("not-a-token", SECRET)).toThrow("Malformed token");
+    expect(() => verifyJwt(signJwt({}, SECRET), SECRET)).toThrow(
+      "Token has no subject"
+    );
+  });
+});
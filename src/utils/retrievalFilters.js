@@ -0,0 +1,133 @@
+// src/utils/retrievalFilters.js
+
+const KEYWORD_FIELDS = ["source", "category", "language", "domain"];
+const KNOWN_KEYS = [
+  "since",
+  "publishedAfter",
+  "publishedBefore",
+  ...KEYWORD_FIELDS,
+];
+const SINCE_PATTERN = /^(\d+)\s*([hdw])$/i;
+const SINCE_UNITS_MS = { h: 3600 * 1000, d: 86400 * 1000, w: 7 * 86400 * 1000 };
+
+const filterError = (message) => {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+};
+
+function parseDate(value, field) {
+  const date = new Date(value);
+  if (typeof value !== "string" || Number.isNaN(date.getTime())) {
+    throw filterError(`filters.${field} must be an ISO date`);
+  }
+  return date.toISOString();
+}
+
+function parseKeywords(value, field) {
+  const values = [].concat(value);
+  if (!values.length || values.some((v) => typeof v !== "string" || !v)) {
+    throw filterError(`filters.${field} must be a string or array of strings`);
+  }
+  if (field === "domain") {
+    return values.map((v) =>
+      v
+        .trim()
+        .toLowerCase()
+        .replace(/^www\./, "")
+    );
+  }
+  return values.map((v) => v.trim());
+}
+
+/**
+ * Validate the `filters` object of a chat request
+ *
+ * Accepts `publishedAfter` / `publishedBefore` (ISO dates), `since`
+ * (`"24h"`, `"7d"`, `"2w"`; shorthand for publishedAfter) and `source`,
+ * `category`, `language`, `domain` as a string or array of strings. Any other
+ * key is rejected, so a misspelt filter does not silently widen the search.
+ * @param {Object} [input]
+ * @param {Date} [now]
+ * @returns {Object|null} Normalised filters, or null when none are set
+ * @throws {Error} status 400 on invalid input
+ */
+function parseRetrievalFilters(input, now = new Date()) {
+  if (input === undefined || input === null) return null;
+  if (typeof input !== "object" || Array.isArray(input)) {
+    throw filterError("filters must be an object");
+  }
+  const unknown = Object.keys(input).filter((key) => !KNOWN_KEYS.includes(key));
+  if (unknown.length) {
+    throw filterError(`Unknown filters: ${unknown.join(", ")}`);
+  }
+
+  const filters = {};
+
+  if (input.since !== undefined) {
+    const match = SINCE_PATTERN.exec(String(input.since));
+    if (!match) {
+      throw filterError('filters.since must look like "24h", "7d" or "2w"');
+    }
+    const ms = parseInt(match[1]) * SINCE_UNITS_MS[match[2].toLowerCase()];
+    filters.publishedAfter = new Date(now.getTime() - ms).toISOString();
+  }
+  if (input.publishedAfter !== undefined) {
+    filters.publishedAfter = parseDate(input.publishedAfter, "publishedAfter");
+  }
+  if (input.publishedBefore !== undefined) {
+    filters.publishedBefore = parseDate(
+      input.publishedBefore,
+      "publishedBefore"
+    );
+  }
+  if (
+    filters.publishedAfter &&
+    filters.publishedBefore &&
+    filters.publishedAfter > filters.publishedBefore
+  ) {
+    throw filterError("filters.publishedAfter must be before publishedBefore");
+  }
+
+  for (const field of KEYWORD_FIELDS) {
+    if (input[field] !== undefined) {
+      filters[field] = parseKeywords(input[field], field);
+    }
+  }
+
+  return Object.keys(filters).length ? filters : null;
+}
+
+/**
+ * Translate parsed filters into a Qdrant `filter` clause
+ * @param {Object|null} filters - From parseRetrievalFilters
+ * @returns {Object|undefined}
+ */
+function toQdrantFilter(filters) {
+  if (!filters) return undefined;
+
+  const must = [];
+
+  if (filters.publishedAfter || filters.publishedBefore) {
+    must.push({
+      key: "published_at",
+      range: {
+        ...(filters.publishedAfter && { gte: filters.publishedAfter }),
+        ...(filters.publishedBefore && { lte: filters.publishedBefore }),
+      },
+    });
+  }
+
+  for (const field of KEYWORD_FIELDS) {
+    const values = filters[field];
+    if (!values) continue;
+    must.push({
+      key: field,
+      match: values.length === 1 ? { value: values[0] } : { any: values },
+    });
+  }
+
+  return must.length ? { must } : undefined;
+}
+
+module.exports = { parseRetrievalFilters, toQdrantFilter };
@@ -0,0 +1,113 @@
+const { parseRetrievalFilters, toQdrantFilter } = require("./retrievalFilters");
+
+const expectStatus400 = (input, message) => {
+  let error;
+  try {
+    parseRetrievalFilters(input);
+  } catch (err) {
+    error = err;
+  }
+  expect(error).toBeDefined();
+  expect(error.status).toBe(400);
+  expect(error.message).toMatch(message);
+};
+
+describe("parseRetrievalFilters", () => {
+  test("returns null when no filters are set", () => {
+    expect(parseRetrievalFilters(undefined)).toBeNull();
+    expect(parseRetrievalFilters(null)).toBeNull();
+    expect(parseRetrievalFilters({})).toBeNull();
+  });
+
+  test("rejects a non-object", () => {
+    expectStatus400("source", /must be an object/);
+    expectStatus400(["bbc"], /must be an object/);
+  });
+
+  test("rejects bad dates and reversed ranges", () => {
+    expectStatus400({ publishedAfter: "not a date" }, /publishedAfter/);
+    expectStatus400({ publishedBefore: 1700000000000 }, /publishedBefore/);
+    expectStatus400({ since: "3 months" }, /filters\.since/);
+    expectStatus400(
+      {
+        publishedAfter: "2024-05-02T00:00:00Z",
+        publishedBefore: "2024-05-01T00:00:00Z",
+      },
+      /must be before/
+    );
+  });
+
+  test("rejects sources that are not strings or arrays of strings", () => {
+    expectStatus400({ source: 42 }, /filters\.source/);
+    expectStatus400({ source: [] }, /filters\.source/);
+    expectStatus400({ source: ["bbc", 7] }, /filters\.source/);
+    expectStatus400({ source: { id: "bbc" } }, /filters\.source/);
+  });
+
+  test("rejects unknown keys", () => {
+    expectStatus400({ author: "someone" }, /Unknown filters: author/);
+    expectStatus400({ sources: ["bbc"], since: "24h" }, /sources/);
+  });
+
+  test("normalises dates, since and keywords", () => {
+    const now = new Date("2024-05-08T12:00:00Z");
+
+    expect(
+      parseRetrievalFilters(
+        {
+          since: "7d",
+          publishedBefore: "2024-05-08",
+          source: " bbc ",
+          domain: ["WWW.Reuters.com", "apnews.com"],
+        },
+        now
+      )
+    ).toEqual({
+      publishedAfter: "2024-05-01T12:00:00.000Z",
+      publishedBefore: "2024-05-08T00:00:00.000Z",
+      source: ["bbc"],
+      domain: ["reuters.com", "apnews.com"],
+    });
+  });
+});
+
+describe("toQdrantFilter", () => {
+  test("returns undefined without filters", () => {
+    expect(toQdrantFilter(null)).toBeUndefined();
+  });
+
+  test("builds a range on published_at and matches on keyword fields", () => {
+    const filters = parseRetrievalFilters({
+      publishedAfter: "2024-05-01T00:00:00Z",
+      source: "bbc",
+      language: ["en", "fr"],
+    });
+
+    expect(toQdrantFilter(filters)).toEqual({
+      must: [
+        { key: "published_at", range: { gte: "2024-05-01T00:00:00.000Z" } },
+        { key: "source", match: { value: "bbc" } },
+        { key: "language", match: { any: ["en", "fr"] } },
+      ],
+    });
+  });
+
+  test("bounds both ends of the range when both dates are set", () => {
+    expect(
+      toQdrantFilter({
+        publishedAfter: "2024-05-01T00:00:00.000Z",
+        publishedBefore: "2024-05-08T00:00:00.000Z",
+      })
+    ).toEqual({
+      must: [
+        {
+          key: "published_at",
+          range: {
+            gte: "2024-05-01T00:00:00.000Z",
+            lte: "2024-05-08T00:00:00.000Z",
+          },
+        },
+      ],
+    });
+  });
+});
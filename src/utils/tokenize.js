@@ -0,0 +1,26 @@
+// src/utils/tokenize.js
+
+// Common English words carry little meaning for retrieval
+const STOPWORDS = new Set(
+  (
+    "a an and are as at be been but by for from has have he her his i in is " +
+    "it its of on or our she that the their them they this to was were what " +
+    "when where which who will with you your"
+  ).split(" ")
+);
+
+/**
+ * Lowercased, accent-folded alphanumeric terms without stopwords
+ * @param {string} text
+ * @returns {string[]}
+ */
+function tokenize(text) {
+  return text
+    .toLowerCase()
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .split(/[^a-z0-9]+/)
+    .filter((token) => token.length > 1 && !STOPWORDS.has(token));
+}
+
+module.exports = { STOPWORDS, tokenize };
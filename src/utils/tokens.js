@@ -0,0 +1,31 @@
+// src/utils/tokens.js
+
+/**
+ * Rough token count for English text without a model-specific tokenizer
+ *
+ * Most BPE tokenizers average ~4 characters per token on prose; short words
+ * and punctuation push that up, so take whichever estimate is larger.
+ * @param {string} text
+ * @returns {number}
+ */
+function estimateTokens(text) {
+  if (!text) return 0;
+  const chars = Math.ceil(text.length / 4);
+  const words = (text.match(/\w+|[^\w\s]/g) || []).length;
+  return Math.max(chars, Math.ceil(words * 0.75));
+}
+
+/**
+ * Token estimate for a system prompt plus chat messages
+ * @param {{system?: string, messages?: Array<{role: string, content: string}>}} input
+ * @returns {number}
+ */
+function estimateMessageTokens({ system = "", messages = [] }) {
+  // ~4 tokens of role/formatting overhead per message
+  return messages.reduce(
+    (sum, msg) => sum + estimateTokens(msg.content) + 4,
+    estimateTokens(system)
+  );
+}
+
+module.exports = { estimateTokens, estimateMessageTokens };